@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+
+  /**
+   * GET /devices — health snapshot of every device (settings page table).
+   */
+  async getDevices({ homey }) {
+    return homey.app.getFleetHealth();
+  },
+
+};
@@ -1,13 +1,118 @@
 'use strict';
 
 const Homey = require('homey');
+const { getLastSeen } = require('./lib/AvailabilityManager');
 
 
 
 class MyZigbeeTuyaSuiteApp extends Homey.App {
   onInit() {
     this.log("My Zigbee Tuya initiating...");
+
+    this._registerAvailabilityFlows();
+  }
+
+  // ── Availability flows ────────────────────────────────────────────────────
+  // Triggers are fired by AvailabilityManager; only the condition lives here.
+
+  _registerAvailabilityFlows() {
+    const silentFor = this.homey.flow.getConditionCard('device_silent_for');
+
+    silentFor.registerArgumentAutocompleteListener('device', async query => {
+      const q = (query || '').toLowerCase();
+      return this._getAllDevices()
+        .map(device => ({
+          name: device.getName(),
+          description: device.driver.id,
+          driver: device.driver.id,
+          data: device.getData(),
+        }))
+        .filter(item => item.name.toLowerCase().includes(q));
+    });
+
+    silentFor.registerRunListener(async ({ device, minutes }) => {
+      const target = this._findDevice(device);
+      if (!target) throw new Error(`Device "${device?.name}" not found`);
+
+      const lastSeen = getLastSeen(target);
+      if (lastSeen === null) return false; // not monitored — never "silent"
+
+      return Date.now() - lastSeen > minutes * 60 * 1000;
+    });
+  }
+
+  // ── Fleet health (api.js GET /devices) ────────────────────────────────────
+
+  /**
+   * Health snapshot of every device of every driver.
+   * @returns {Object[]}
+   */
+  getFleetHealth() {
+    return this._getAllDevices().map(device => this._describeDevice(device));
+  }
+
+  _describeDevice(device) {
+    const data     = device.getData();
+    const settings = device.getSettings?.() ?? {};
+
+    let transactionStats = null;
+    if (typeof device.getTransactionStats === 'function') {
+      try {
+        transactionStats = device.getTransactionStats();
+      } catch (err) {
+        this.error(`[Health] ${device.getName()} stats failed:`, err.message);
+      }
+    }
+
+    return {
+      name: device.getName(),
+      driver: device.driver.id,
+      subDeviceId: data.subDeviceId ?? null,
+      model: settings.zb_product_id ?? null,
+      manufacturer: settings.zb_manufacturer_name ?? null,
+      firmwareVersion: this._getFirmwareVersion(device),
+      available: device.getAvailable(),
+      last_seen_ts: getLastSeen(device),
+      transactionStats,
+      writeFailures: typeof device.getWriteFailures === 'function' ? device.getWriteFailures() : [],
+    };
+  }
+
+  /**
+   * `firmwareVersion` store value of the device, or of the node's main
+   * device for sub-devices (only the main device reads the Basic cluster).
+   * @returns {string|null}
+   */
+  _getFirmwareVersion(device) {
+    const own = device.getStoreValue('firmwareVersion');
+    if (own) return own;
+
+    const { ieeeAddress } = device.getData();
+    if (!ieeeAddress) return null;
+    const main = device.driver.getDevices().find(d => {
+      try { return d.getData().ieeeAddress === ieeeAddress && !d.getData().subDeviceId; } catch { return false; }
+    });
+    return main?.getStoreValue('firmwareVersion') ?? null;
+  }
+
+  /** All device instances of every driver in this app. */
+  _getAllDevices() {
+    return Object.values(this.homey.drivers.getDrivers())
+      .flatMap(driver => driver.getDevices());
+  }
+
+  /** Resolve an autocomplete selection back to a device instance. */
+  _findDevice(selection) {
+    if (!selection?.data) return null;
+    const key = JSON.stringify(selection.data);
+    return this._getAllDevices().find(device => {
+      try {
+        return device.driver.id === selection.driver && JSON.stringify(device.getData()) === key;
+      } catch {
+        return false;
+      }
+    }) || null;
   }
 };
 
-module.exports = MyZigbeeTuyaSuiteApp;
\ No newline at end of file
+module.exports = MyZigbeeTuyaSuiteApp;
@@ -10,7 +10,7 @@ debug(false);
 Cluster.addCluster(TuyaSpecificCluster);
 
 const DRIVER_NAME = 'MOES 3-Gang Fan Controller';
-const DRIVER_VERSION = '2.1.0';
+const DRIVER_VERSION = '2.2.0';
 
 const DP = {
   SWITCH_1: 1,
@@ -38,7 +38,7 @@ const BACKLIGHT_MODE = {
 /**
  * MOES 3-Gang Fan Controller (Dimmer) Driver
  * 
- * Version: 2.1.0 - With AvailabilityManager
+ * Version: 2.2.0 - Declarative datapoint map
  * 
  * Architecture:
  * - 1 physical Zigbee device with 1 endpoint
@@ -69,11 +69,12 @@ class MoesDimmer3Gang extends TuyaSpecificClusterDevice {
 
     // Setup listeners (once per physical device)
     if (this._isMain) {
-      this._setupTuyaListeners(zclNode);
+      this.installDatapointListeners(zclNode);
       
       // Install availability monitoring
       this._availability = new AvailabilityManagerCluster0(this, {
         timeout: 25 * 60 * 1000,  // 25min
+        commandExpiry: 10 * 60 * 1000,  // replay writes issued while offline
       });
       await this._availability.install();
     }
@@ -86,142 +87,19 @@ class MoesDimmer3Gang extends TuyaSpecificClusterDevice {
   }
 
   /**
-   * Setup Tuya cluster event listeners
+   * Datapoint map: switch + speed per gang, power-on + backlight on the main device.
+   * onoff/dim use custom listeners (motor protection, debouncing).
    */
-  _setupTuyaListeners(zclNode) {
-    const ep1 = zclNode.endpoints?.[1];
-    const tuya = ep1?.clusters?.tuya;
-
-    if (!ep1 || !tuya) {
-      this.error('Endpoint 1 or Tuya cluster not found');
-      return;
-    }
-
-    const handleTuya = async (data) => {
-      const dp = data?.dp;
-      const target = this._getNodeDevices().find(g => g._isMyDp(dp));
-      
-      if (target) {
-        target._processDatapoint(data).catch(e => this.error('Datapoint error:', e));
-      }
+  get datapoints() {
+    const map = {
+      [this._myDpSwitch]: { capability: 'onoff', type: 'bool', direction: 'in' },
+      [this._myDpSpeed]:  { capability: 'dim', type: 'value', divisor: 100, min: 0, max: 1, tolerance: 0.01, direction: 'in' },
     };
-
-    tuya.on('reporting', handleTuya);
-    tuya.on('response', handleTuya);
-    
-    this.log('Tuya cluster listeners attached');
-  }
-
-  /**
-   * Process incoming Tuya datapoint
-   */
-  async _processDatapoint(data) {
-    const dp = data.dp;
-    const value = this._parseDataValue(data);
-    
-    if (!this._isMyDp(dp)) return;
-    
-    switch (dp) {
-      case DP.SWITCH_1:
-      case DP.SWITCH_2:
-      case DP.SWITCH_3:
-        await this._handleOnOff(dp, value);
-        break;
-      case DP.SPEED_1:
-      case DP.SPEED_2:
-      case DP.SPEED_3:
-        await this._handleSpeed(dp, value);
-        break;
-      case DP.POWER_ON:
-        await this._handlePowerOn(value);
-        break;
-      case DP.BACKLIGHT:
-        await this._handleBacklight(value);
-        break;
-    }
-  }
-
-  /**
-   * Handle on/off state change from device
-   */
-  async _handleOnOff(dp, value) {
-    try {
-      const currentValue = this.getCapabilityValue('onoff');
-      
-      // Anti-flicker
-      if (currentValue === value) return;
-      
-      await this.setCapabilityValue('onoff', value);
-      this.log(`${this._gangName} DP${dp}: ${currentValue ? 'ON' : 'OFF'} -> ${value ? 'ON' : 'OFF'}`);
-      
-    } catch (err) {
-      this.error('Failed to update onoff:', err);
-    }
-  }
-
-  /**
-   * Handle speed change from device
-   */
-  async _handleSpeed(dp, value) {
-    try {
-      const dimValue = Math.max(0, Math.min(1, value / 100));
-      const currentDim = this.getCapabilityValue('dim');
-      
-      // Anti-flicker with tolerance
-      if (Math.abs(currentDim - dimValue) < 0.01) return;
-      
-      await this.setCapabilityValue('dim', dimValue);
-      this.log(`${this._gangName} DP${dp}: ${Math.round(currentDim * 100)}% -> ${value}%`);
-      
-    } catch (err) {
-      this.error('Failed to update dim:', err);
-    }
-  }
-
-  /**
-   * Handle power-on behavior report from device
-   */
-  async _handlePowerOn(value) {
-    if (!this._isMain) return;
-    
-    const mode = POWER_ON_MODE[value];
-    if (!mode) {
-      this.error(`Invalid power-on value: ${value}`);
-      return;
-    }
-    
-    this.log(`Device reported powerOnState: ${mode}`);
-    
-    const currentSetting = this.getSetting('powerOnState');
-    if (currentSetting !== mode) {
-      this.log(`Syncing setting: ${currentSetting} -> ${mode}`);
-      await this.setSettings({ powerOnState: mode }).catch(err => {
-        this.error('Failed to sync powerOnState:', err);
-      });
-    }
-  }
-
-  /**
-   * Handle backlight mode report from device
-   */
-  async _handleBacklight(value) {
-    if (!this._isMain) return;
-    
-    const mode = BACKLIGHT_MODE[value];
-    if (!mode) {
-      this.error(`Invalid backlight value: ${value}`);
-      return;
-    }
-    
-    this.log(`Device reported backlightMode: ${mode}`);
-    
-    const currentSetting = this.getSetting('backlightMode');
-    if (currentSetting !== mode) {
-      this.log(`Syncing setting: ${currentSetting} -> ${mode}`);
-      await this.setSettings({ backlightMode: mode }).catch(err => {
-        this.error('Failed to sync backlightMode:', err);
-      });
+    if (this._isMain) {
+      map[DP.POWER_ON]  = { setting: 'powerOnState', type: 'enum', enum: POWER_ON_MODE };
+      map[DP.BACKLIGHT] = { setting: 'backlightMode', type: 'enum', enum: BACKLIGHT_MODE };
     }
+    return map;
   }
 
   /**
@@ -243,11 +121,11 @@ class MoesDimmer3Gang extends TuyaSpecificClusterDevice {
         const speedPercent = Math.round(currentDim * 100);
         
         this.log(`Motor protection: ${speedPercent}% before ON`);
-        await this.writeValue(this._myDpSpeed, speedPercent);
+        await this.writeDatapoint(this._myDpSpeed, speedPercent / 100);
         await this._sleep(motorDelay);
       }
       
-      await this.writeBool(this._myDpSwitch, value);
+      await this.writeDatapoint(this._myDpSwitch, value);
       
     } catch (err) {
       this.error(`${this._gangName} onoff failed:`, err.message);
@@ -294,7 +172,7 @@ class MoesDimmer3Gang extends TuyaSpecificClusterDevice {
     this.log(`${this._gangName} speed: ${speedPercent}%`);
     
     try {
-      await this.writeValue(this._myDpSpeed, speedPercent);
+      await this.writeDatapoint(this._myDpSpeed, speedPercent / 100);
     } catch (err) {
       this.error(`${this._gangName} dim failed:`, err.message);
       throw err;
@@ -309,14 +187,11 @@ class MoesDimmer3Gang extends TuyaSpecificClusterDevice {
 
     this.log('Settings changed:', changedKeys);
 
+    // powerOnState / backlightMode are written through the datapoint map
+    await super.onSettings({ oldSettings, newSettings, changedKeys });
+
     for (const key of changedKeys) {
       switch (key) {
-        case 'powerOnState':
-          await this._handlePowerOnStateSetting(newSettings.powerOnState);
-          break;
-        case 'backlightMode':
-          await this._handleBacklightModeSetting(newSettings.backlightMode);
-          break;
         case 'health_monitoring_enabled':
           if (newSettings.health_monitoring_enabled) {
             this.log('Health monitoring enabled');
@@ -338,58 +213,6 @@ class MoesDimmer3Gang extends TuyaSpecificClusterDevice {
     }
   }
 
-  /**
-   * Handle powerOnState setting change
-   */
-  async _handlePowerOnStateSetting(newMode) {
-    this.log(`Changing powerOnState to: ${newMode}`);
-    
-    const enumValue = Object.entries(POWER_ON_MODE).find(([, v]) => v === newMode)?.[0];
-    
-    if (enumValue === undefined) {
-      throw new Error(`Invalid powerOnState: ${newMode}`);
-    }
-    
-    try {
-      await this.writeEnum(DP.POWER_ON, Number(enumValue));
-      this.log(`✓ PowerOnState changed to: ${newMode}`);
-    } catch (err) {
-      this.error('PowerOnState failed:', err.message);
-      throw err;
-    }
-  }
-
-  /**
-   * Handle backlightMode setting change
-   */
-  async _handleBacklightModeSetting(newMode) {
-    this.log(`Changing backlightMode to: ${newMode}`);
-    
-    const enumValue = Object.entries(BACKLIGHT_MODE).find(([, v]) => v === newMode)?.[0];
-    
-    if (enumValue === undefined) {
-      throw new Error(`Invalid backlightMode: ${newMode}`);
-    }
-    
-    try {
-      await this.writeEnum(DP.BACKLIGHT, Number(enumValue));
-      this.log(`✓ BacklightMode changed to: ${newMode}`);
-    } catch (err) {
-      this.error('BacklightMode failed:', err.message);
-      throw err;
-    }
-  }
-
-  /**
-   * Get all gang devices for this physical node
-   */
-  _getNodeDevices() {
-    const myIeee = this.getData().ieeeAddress;
-    return this.driver.getDevices().filter(d => {
-      try { return d.getData().ieeeAddress === myIeee; } catch { return false; }
-    });
-  }
-
   _getMyDpSwitch(subDeviceId) {
     const map = { secondGang: DP.SWITCH_2, thirdGang: DP.SWITCH_3 };
     return map[subDeviceId] || DP.SWITCH_1;
@@ -405,55 +228,12 @@ class MoesDimmer3Gang extends TuyaSpecificClusterDevice {
     return map[subDeviceId] || 'Gang 1';
   }
 
-  _isMyDp(dp) {
-    if (this._isMain) {
-      return dp === this._myDpSwitch || 
-             dp === this._myDpSpeed || 
-             dp === DP.POWER_ON || 
-             dp === DP.BACKLIGHT;
-    }
-    return dp === this._myDpSwitch || dp === this._myDpSpeed;
-  }
-
-  /**
-   * Parse a Tuya datapoint value into a JS type.
-   *
-   * @param {Object} dpValue
-   * @param {number} dpValue.datatype - Tuya datatype (0=raw,1=bool,2=value,3=string,4=enum,5=bitmap)
-   * @param {Buffer|Array<number>} dpValue.data
-   * @returns {boolean|number|string|Buffer}
-   */
-  _parseDataValue(dpValue) {
-    switch (dpValue.datatype) {
-      case 0: return dpValue.data;
-      case 1: return dpValue.data[0] === 1;
-      case 2: return this._bufToUint32(dpValue.data);
-      case 3: return String.fromCharCode(...dpValue.data);
-      case 4: return dpValue.data[0];
-      case 5: return this._bufToUint32(dpValue.data);
-      default: throw new Error(`Unsupported datatype: ${dpValue.datatype}`);
-    }
-  }
-
-  /**
-   * Convert a big-endian byte array to an unsigned 32-bit integer.
-   *
-   * @param {Buffer|Array<number>} buf
-   * @returns {number}
-   */
-  _bufToUint32(buf) {
-    let value = 0;
-    for (let i = 0; i < buf.length; i++) {
-      value = (value << 8) + buf[i];
-    }
-    return value;
-  }
-
   _sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   onDeleted() {
+    super.onDeleted();
     if (this._availability) {
       this._availability.uninstall();
     }
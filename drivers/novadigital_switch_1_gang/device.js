@@ -12,12 +12,15 @@ Cluster.addCluster(TuyaPowerOnStateCluster);
 
 debug(false);
 
-const DRIVER_VERSION = '3.5.0';
+const DRIVER_VERSION = '3.6.0';
 const DRIVER_NAME = 'NovaDigital 1-Gang';
 
 /**
  * NovaDigital 1-Gang ZCL Wall Switch Driver
  * 
+ * Version: 3.6.0 - Offline command buffering
+ * - On/off issued while unavailable is replayed on reconnect (10min expiry)
+ *
  * Version: 3.5.0 - Using AvailabilityManager lib
  * 
  * Features:
@@ -72,6 +75,7 @@ class NovaDigitalSwitch1Gang extends ZigBeeDevice {
     // across all gangs when any timeout fires or any frame recovers.
     this._availability = new AvailabilityManagerCluster6(this, {
       timeout: 10 * 60 * 1000,
+      commandExpiry: 10 * 60 * 1000,  // replay on/off issued while offline
     });
     await this._availability.install();
 
@@ -123,6 +127,11 @@ class NovaDigitalSwitch1Gang extends ZigBeeDevice {
 
   // Command execution with retry
   async _debouncedOnCapabilityOnoff(value, opts) {
+    // Unavailable: keep the desired state for replay on reconnect
+    if (this._availability?.bufferCommand(this, 'onOff', () => this._executeOnCapabilityOnoff(value, opts))) {
+      return;
+    }
+
     const now = Date.now();
 
     if (this._commandLock) {
@@ -5,19 +5,22 @@ const { CLUSTER, Cluster, debug } = require('zigbee-clusters');
 const TuyaOnOffCluster = require('../../lib/TuyaOnOffCluster');
 const TuyaPowerOnStateCluster = require('../../lib/TuyaPowerOnStateCluster');
 const OnOffBoundCluster = require('../../lib/OnOffBoundCluster');
-const { AvailabilityManagerCluster6 } = require('../../lib/AvailabilityManager');
+const { AvailabilityManagerCluster6, getAvailabilityManager } = require('../../lib/AvailabilityManager');
 
 Cluster.addCluster(TuyaOnOffCluster);
 Cluster.addCluster(TuyaPowerOnStateCluster);
 
 debug(false);
 
-const DRIVER_VERSION = '3.5.0';
+const DRIVER_VERSION = '3.6.0';
 const DRIVER_NAME = 'NovaDigital 2-Gang';
 
 /**
  * NovaDigital 2-Gang ZCL Wall Switch Driver
  * 
+ * Version: 3.6.0 - Offline command buffering
+ * - On/off issued while unavailable is replayed on reconnect (10min expiry)
+ *
  * Version: 3.5.0 - Using AvailabilityManager lib
  */
 class NovaDigitalSwitch2Gang extends ZigBeeDevice {
@@ -78,6 +81,7 @@ class NovaDigitalSwitch2Gang extends ZigBeeDevice {
     if (this._isMainDevice) {
       this._availability = new AvailabilityManagerCluster6(this, {
         timeout: 10 * 60 * 1000,
+        commandExpiry: 10 * 60 * 1000,  // replay on/off issued while offline
       });
       await this._availability.install();
       this._markAliveFromAvailability?.('boot');
@@ -127,6 +131,11 @@ class NovaDigitalSwitch2Gang extends ZigBeeDevice {
   }
 
   async _debouncedOnCapabilityOnoff(value, opts) {
+    // Unavailable: keep the desired state for replay on reconnect
+    if (getAvailabilityManager(this)?.bufferCommand(this, 'onOff', () => this._executeOnCapabilityOnoff(value, opts))) {
+      return;
+    }
+
     const now = Date.now();
 
     if (this._commandLock) {
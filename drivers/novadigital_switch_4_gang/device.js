@@ -3,14 +3,14 @@
 const { Cluster, debug } = require('zigbee-clusters');
 const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
 const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
-const { AvailabilityManagerCluster0 } = require('../../lib/AvailabilityManager');
+const { AvailabilityManagerPing } = require('../../lib/AvailabilityManager');
 
 debug(false);
 
 Cluster.addCluster(TuyaSpecificCluster);
 
 const DRIVER_NAME = 'NovaDigital 4-Gang';
-const DRIVER_VERSION = '2.3.0';
+const DRIVER_VERSION = '2.7.0';
 
 /**
  * Retry configuration for Tuya commands
@@ -59,14 +59,17 @@ const POWER_ON_LABELS = {
 /**
  * NovaDigital 4-Gang Tuya Wall Switch Driver
  * 
- * Version: 2.3.0 - With AvailabilityManager + Retry
+ * Version: 2.7.0 - Diagnostics capabilities (last seen, availability changes, LQI/RSSI)
  * 
  * Features:
- * - Automatic availability detection (handleFrame hook)
+ * - Automatic availability detection (handleFrame hook + zclVersion ping when silent)
+ * - Diagnostics capabilities on every gang: last seen, availability changes, LQI/RSSI
  * - Exponential backoff retry on commands
+ * - Confirmed writes: relay state must be reported back, else retry (Homey reverts on failure)
  * - Configurable retry per command type
- * - Command debouncing (prevent spam)
+ * - Commands serialized per node (shared queue, no dropped gangs)
  * - Power-on behavior configuration
+ * - DP parsing / setting sync via TuyaSpecificClusterDevice map
  */
 class NovaDigitalSwitch4Gang extends TuyaSpecificClusterDevice {
 
@@ -78,19 +81,19 @@ class NovaDigitalSwitch4Gang extends TuyaSpecificClusterDevice {
     this._myDp = this._getMyDp(subDeviceId);
     this._isMain = !subDeviceId;
 
-    // Command debouncing
-    this._commandPending = false;
-
     this.log(`${DRIVER_NAME} v${DRIVER_VERSION} - ${this._gangName}`);
     if (this._isMain) this.printNode();
 
     // Setup Tuya listeners (once per physical device)
     if (this._isMain) {
-      this._setupTuyaListeners(zclNode);
+      this.installDatapointListeners(zclNode);
       
       // Install availability monitoring
-      this._availability = new AvailabilityManagerCluster0(this, {
+      this._availability = new AvailabilityManagerPing(this, {
         timeout: 25 * 60 * 1000,  // 25min for AC-powered Tuya
+        pingAttempts: 3,           // relays only report on change — probe before giving up
+        diagnostics: true,         // last seen / change counter / LQI on every gang
+        commandExpiry: 10 * 60 * 1000,  // replay writes issued while offline
       });
       await this._availability.install();
     }
@@ -102,100 +105,34 @@ class NovaDigitalSwitch4Gang extends TuyaSpecificClusterDevice {
   }
 
   /**
-   * Setup Tuya cluster event listeners
+   * Datapoint map: own gang DP on every device, power-on DP on the main device.
    */
-  _setupTuyaListeners(zclNode) {
-    const ep1 = zclNode.endpoints?.[1];
-    const tuya = ep1?.clusters?.tuya;
-
-    if (!ep1 || !tuya) {
-      this.error('Endpoint 1 or Tuya cluster not found');
-      return;
-    }
-
-    const handleTuya = async (data) => {
-      const dp = data?.dp;
-      const target = this._getNodeDevices().find(g => g._isMyDp(dp));
-      
-      if (target) {
-        target._processDatapoint(data).catch(e => this.error('Datapoint processing error:', e));
-      }
+  get datapoints() {
+    const map = {
+      [this._myDp]: { capability: 'onoff', type: 'bool', direction: 'in', confirm: true },
     };
-
-    tuya.on('reporting', handleTuya);
-    tuya.on('response', handleTuya);
-    
-    this.log('Tuya cluster listeners attached');
-  }
-
-  /**
-   * Process incoming Tuya datapoint
-   */
-  async _processDatapoint(data) {
-    const dp = data.dp;
-    const value = this._parseDataValue(data);
-    
-    if (!this._isMyDp(dp)) return;
-    
-    switch (dp) {
-      case DP.GANG1:
-      case DP.GANG2:
-      case DP.GANG3:
-      case DP.GANG4:
-        await this._handleOnOff(dp, value);
-        break;
-      case DP.POWER_ON:
-        await this._handlePowerOn(value);
-        break;
+    if (this._isMain) {
+      map[DP.POWER_ON] = {
+        setting: 'power_on_behavior',
+        type: 'enum',
+        enum: POWER_ON_MODE,
+        retries: RETRY_CONFIG.SETTINGS.retries,
+        delay: RETRY_CONFIG.SETTINGS.delay,
+      };
     }
+    return map;
   }
 
   /**
-   * Handle on/off state change
+   * Keep the read-only "current" label in sync with the device report
    */
-  async _handleOnOff(dp, value) {
-    try {
-      const currentValue = this.getCapabilityValue('onoff');
-      
-      // Anti-flicker
-      if (currentValue === value) return;
-      
-      await this.setCapabilityValue('onoff', value);
-      this.log(`${this._gangName} DP${dp}: ${currentValue ? 'ON' : 'OFF'} -> ${value ? 'ON' : 'OFF'}`);
-      
-    } catch (err) {
-      this.error('Failed to update capability:', err);
-    }
-  }
+  async onDatapointReport(dp, value) {
+    if (dp !== DP.POWER_ON) return;
 
-  /**
-   * Handle power-on behavior report from device
-   */
-  async _handlePowerOn(value) {
-    if (!this._isMain) return;
-    
-    const mode = POWER_ON_MODE[value];
-    if (!mode) {
-      this.error(`Invalid power-on value: ${value}`);
-      return;
-    }
-    
-    this.log(`Device reported powerOnBehavior: ${mode}`);
-    
-    const currentSetting = this.getSetting('power_on_behavior');
-    if (currentSetting !== mode) {
-      this.log(`Syncing Homey setting: ${currentSetting} -> ${mode}`);
-      await this.setSettings({ 
-        power_on_behavior: mode,
-        power_on_current: POWER_ON_LABELS[mode]
-      }).catch(err => {
-        this.error('Failed to sync setting:', err);
-      });
-    } else {
-      await this.setSettings({ 
-        power_on_current: POWER_ON_LABELS[mode]
-      }).catch(() => {});
-    }
+    this.log(`Device reported powerOnBehavior: ${value}`);
+    await this.setSettings({
+      power_on_behavior_current: POWER_ON_LABELS[value]
+    }).catch(() => {});
   }
 
   /**
@@ -205,20 +142,13 @@ class NovaDigitalSwitch4Gang extends TuyaSpecificClusterDevice {
     // Anti-flicker
     if (this.getCapabilityValue('onoff') === value) return;
     
-    // Debounce: prevent duplicate commands
-    if (this._commandPending) {
-      this.log(`${this._gangName} command already pending, skipping`);
-      return;
-    }
-    
-    this._commandPending = true;
-    
     try {
       this.log(`${this._gangName} command: ${value ? 'ON' : 'OFF'}`);
       
-      await this.writeBool(
-        this._myDp, 
-        value, 
+      // Serialized with the other gangs by the node command queue
+      await this.writeDatapoint(
+        this._myDp,
+        value,
         RETRY_CONFIG.COMMANDS.retries,
         RETRY_CONFIG.COMMANDS.delay
       );
@@ -226,9 +156,6 @@ class NovaDigitalSwitch4Gang extends TuyaSpecificClusterDevice {
     } catch (err) {
       this.error(`${this._gangName} command failed:`, err.message);
       throw err;
-      
-    } finally {
-      this._commandPending = false;
     }
   }
 
@@ -240,66 +167,20 @@ class NovaDigitalSwitch4Gang extends TuyaSpecificClusterDevice {
 
     this.log('Settings change detected:', changedKeys);
 
-    for (const key of changedKeys) {
-      switch (key) {
-        case 'power_on_behavior':
-          await this._handlePowerOnBehaviorSetting(newSettings.power_on_behavior);
-          break;
-          
-        case 'health_monitoring_enabled':
-          if (newSettings.health_monitoring_enabled) {
-            this.log('Health monitoring enabled');
-            await this._availability.install();
-          } else {
-            this.log('Health monitoring disabled');
-            await this._availability.uninstall();
-          }
-          break;
-          
-        case 'power_on_current':
-          // Read-only label - ignore
-          break;
-          
-        default:
-          this.log(`Unhandled setting: ${key}`);
-      }
-    }
-  }
+    // power_on_behavior is written through the datapoint map
+    await super.onSettings({ oldSettings, newSettings, changedKeys });
 
-  /**
-   * Handle power_on_behavior setting change
-   */
-  async _handlePowerOnBehaviorSetting(newMode) {
-    this.log(`Changing powerOnBehavior to: ${newMode}`);
-    
-    const enumValue = Object.entries(POWER_ON_MODE).find(([, v]) => v === newMode)?.[0];
-    
-    if (enumValue === undefined) {
-      throw new Error(`Invalid power_on_behavior: ${newMode}`);
-    }
-    
-    try {
-      await this.writeEnum(
-        DP.POWER_ON, 
-        Number(enumValue),
-        RETRY_CONFIG.SETTINGS.retries,
-        RETRY_CONFIG.SETTINGS.delay
-      );
-      this.log(`✓ PowerOnBehavior changed to: ${newMode}`);
-      
-    } catch (err) {
-      this.error('PowerOnBehavior command failed:', err.message);
-      throw err;
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
     }
   }
 
-  _getNodeDevices() {
-    const myIeee = this.getData().ieeeAddress;
-    return this.driver.getDevices().filter(d => {
-      try { return d.getData().ieeeAddress === myIeee; } catch { return false; }
-    });
-  }
-
   _getMyDp(subDeviceId) {
     const map = {
       secondGang: DP.GANG2,
@@ -318,48 +199,8 @@ class NovaDigitalSwitch4Gang extends TuyaSpecificClusterDevice {
     return map[subDeviceId] || 'Gang 1';
   }
 
-  _isMyDp(dp) {
-    if (this._isMain) {
-      return dp === DP.GANG1 || dp === DP.POWER_ON;
-    }
-    return dp === this._myDp;
-  }
-
-  /**
-   * Parse a Tuya datapoint value into a JS type.
-   *
-   * @param {Object} dpValue
-   * @param {number} dpValue.datatype - Tuya datatype (0=raw,1=bool,2=value,3=string,4=enum,5=bitmap)
-   * @param {Buffer|Array<number>} dpValue.data
-   * @returns {boolean|number|string|Buffer}
-   */
-  _parseDataValue(dpValue) {
-    switch (dpValue.datatype) {
-      case 0: return dpValue.data;
-      case 1: return dpValue.data[0] === 1;
-      case 2: return this._bufToUint32(dpValue.data);
-      case 3: return String.fromCharCode(...dpValue.data);
-      case 4: return dpValue.data[0];
-      case 5: return this._bufToUint32(dpValue.data);
-      default: throw new Error(`Unsupported datatype: ${dpValue.datatype}`);
-    }
-  }
-
-  /**
-   * Convert a big-endian byte array to an unsigned 32-bit integer.
-   *
-   * @param {Buffer|Array<number>} buf
-   * @returns {number}
-   */
-  _bufToUint32(buf) {
-    let value = 0;
-    for (let i = 0; i < buf.length; i++) {
-      value = (value << 8) + buf[i];
-    }
-    return value;
-  }
-
   onDeleted() {
+    super.onDeleted();
     if (this._availability) {
       this._availability.uninstall();
     }
@@ -3,14 +3,14 @@
 const { Cluster, debug } = require('zigbee-clusters');
 const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
 const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
-const { AvailabilityManagerCluster0 } = require('../../lib/AvailabilityManager');
+const { AvailabilityManagerPing } = require('../../lib/AvailabilityManager');
 
 debug(false);
 
 Cluster.addCluster(TuyaSpecificCluster);
 
 const DRIVER_NAME = 'Zemismart 6-Gang';
-const DRIVER_VERSION = '2.1.0';
+const DRIVER_VERSION = '2.4.1';
 
 const DP = {
   GANG1: 1,
@@ -24,12 +24,15 @@ const DP = {
 /**
  * Zemismart 6-Gang Tuya Wall Switch Driver
  * 
- * Version: 2.1.0 - With AvailabilityManager
+ * Version: 2.4.1 - Anti-flicker: unchanged onoff is not written again
+ * Version: 2.4.0 - Diagnostics capabilities (last seen, availability changes, LQI/RSSI)
+ * Version: 2.3.0 - Active availability ping (zclVersion read when silent)
  * 
  * Architecture:
  * - 1 physical Zigbee device with 1 endpoint
  * - 6 virtual Homey devices (Gang 1-6) sharing the same node
  * - Datapoints: DP 1-6 (on/off for each gang)
+ * - Writes are confirmed: the gang must report the new state, else retry (Homey reverts on failure)
  * 
  * Power-On Behavior:
  * - NOT CONFIGURABLE - firmware always restores to OFF after power outage
@@ -52,11 +55,14 @@ class ZemismartSwitch6Gang extends TuyaSpecificClusterDevice {
 
     // Setup listeners (once per physical device)
     if (this._isMain) {
-      this._setupTuyaListeners(zclNode);
+      this.installDatapointListeners(zclNode);
       
       // Install availability monitoring
-      this._availability = new AvailabilityManagerCluster0(this, {
+      this._availability = new AvailabilityManagerPing(this, {
         timeout: 25 * 60 * 1000,  // 25min
+        pingAttempts: 3,           // relays only report on change — probe before giving up
+        diagnostics: true,         // last seen / change counter / LQI on every gang
+        commandExpiry: 10 * 60 * 1000,  // replay writes issued while offline
       });
       await this._availability.install();
     }
@@ -68,63 +74,12 @@ class ZemismartSwitch6Gang extends TuyaSpecificClusterDevice {
   }
 
   /**
-   * Setup Tuya cluster event listeners
+   * Datapoint map: each gang owns exactly one on/off DP
    */
-  _setupTuyaListeners(zclNode) {
-    const ep1 = zclNode.endpoints?.[1];
-    const tuya = ep1?.clusters?.tuya;
-
-    if (!ep1 || !tuya) {
-      this.error('Endpoint 1 or Tuya cluster not found');
-      return;
-    }
-
-    const handleTuya = async (data) => {
-      const dp = data?.dp;
-      const target = this._getNodeDevices().find(g => g._isMyDp(dp));
-      
-      if (target) {
-        target._processDatapoint(data).catch(e => this.error('Datapoint error:', e));
-      }
+  get datapoints() {
+    return {
+      [this._myDp]: { capability: 'onoff', type: 'bool', direction: 'in', confirm: true },
     };
-
-    tuya.on('reporting', handleTuya);
-    tuya.on('response', handleTuya);
-    
-    this.log('Tuya cluster listeners attached');
-  }
-
-  /**
-   * Process incoming Tuya datapoint
-   */
-  async _processDatapoint(data) {
-    const dp = data.dp;
-    const value = this._parseDataValue(data);
-    
-    if (!this._isMyDp(dp)) return;
-    
-    // Handle on/off state change (DP 1-6)
-    if (dp >= DP.GANG1 && dp <= DP.GANG6) {
-      await this._handleOnOff(dp, value);
-    }
-  }
-
-  /**
-   * Handle on/off state change
-   */
-  async _handleOnOff(dp, value) {
-    try {
-      const currentValue = this.getCapabilityValue('onoff');
-      
-      // Anti-flicker
-      if (currentValue === value) return;
-      
-      await this.setCapabilityValue('onoff', value);
-      this.log(`${this._gangName} DP${dp}: ${currentValue ? 'ON' : 'OFF'} -> ${value ? 'ON' : 'OFF'}`);
-      
-    } catch (err) {
-      this.error('Failed to update capability:', err);
-    }
   }
 
   /**
@@ -133,11 +88,13 @@ class ZemismartSwitch6Gang extends TuyaSpecificClusterDevice {
   async _onCapabilityOnOff(value) {
     // Anti-flicker
     if (this.getCapabilityValue('onoff') === value) return;
-    
-    this.log(`${this._gangName} command: ${value ? 'ON' : 'OFF'}`);
-    
+
     try {
-      await this.writeBool(this._myDp, value);
+      this.log(`${this._gangName} command: ${value ? 'ON' : 'OFF'}`);
+
+      // Serialized with the other gangs by the node command queue
+      await this.writeDatapoint(this._myDp, value);
+
     } catch (err) {
       this.error(`${this._gangName} command failed:`, err.message);
       throw err;
@@ -163,13 +120,6 @@ class ZemismartSwitch6Gang extends TuyaSpecificClusterDevice {
     }
   }
 
-  _getNodeDevices() {
-    const myIeee = this.getData().ieeeAddress;
-    return this.driver.getDevices().filter(d => {
-      try { return d.getData().ieeeAddress === myIeee; } catch { return false; }
-    });
-  }
-
   /**
    * Get datapoint number for this gang
    */
@@ -198,51 +148,11 @@ class ZemismartSwitch6Gang extends TuyaSpecificClusterDevice {
     return map[subDeviceId] || 'Gang 1';
   }
 
-  /**
-   * Check if this gang handles the given datapoint
-   */
-  _isMyDp(dp) {
-    return dp === this._myDp;
-  }
-
-  /**
-   * Parse a Tuya datapoint value into a JS type.
-   *
-   * @param {Object} dpValue
-   * @param {number} dpValue.datatype - Tuya datatype (0=raw,1=bool,2=value,3=string,4=enum,5=bitmap)
-   * @param {Buffer|Array<number>} dpValue.data
-   * @returns {boolean|number|string|Buffer}
-   */
-  _parseDataValue(dpValue) {
-    switch (dpValue.datatype) {
-      case 0: return dpValue.data;
-      case 1: return dpValue.data[0] === 1;
-      case 2: return this._bufToUint32(dpValue.data);
-      case 3: return String.fromCharCode(...dpValue.data);
-      case 4: return dpValue.data[0];
-      case 5: return this._bufToUint32(dpValue.data);
-      default: throw new Error(`Unsupported datatype: ${dpValue.datatype}`);
-    }
-  }
-
-  /**
-   * Convert a big-endian byte array to an unsigned 32-bit integer.
-   *
-   * @param {Buffer|Array<number>} buf
-   * @returns {number}
-   */
-  _bufToUint32(buf) {
-    let value = 0;
-    for (let i = 0; i < buf.length; i++) {
-      value = (value << 8) + buf[i];
-    }
-    return value;
-  }
-
   /**
    * Cleanup when device is deleted
    */
   onDeleted() {
+    super.onDeleted();
     if (this._availability) {
       this._availability.uninstall();
     }
@@ -3,18 +3,20 @@
 /**
  * @file device.js
  * @description Tuya Temperature & Humidity Sensor with Clock (TS0601)
- * @version 3.3.1
+ * @version 3.4.0
  *
  * Manufacturers: _TZE200_cirvgep4, _TZE204_cirvgep4
  * Protocol: Tuya EF00 (cluster 0xEF00)
  * Battery: 3×AAA
  *
  * DataPoints:
- *   DP1: Temperature (int, 0.1°C → value/10)
+ *   DP1: Temperature (int32, 0.1°C → value/10, negative below 0°C)
  *   DP2: Humidity    (int, %)
  *   DP3: Battery     (enum: 0=33%, 1=66%, 2=100%)
  *   DP9: Temp unit   (enum: 0=Celsius, 1=Fahrenheit — informational only)
  *
+ * DP parsing goes through the TuyaSpecificClusterDevice datapoint map.
+ *
  * Time sync: device sends 0x24 timeRequest on wake; also synced proactively
  * every 10 min via interval. sendTimeResponse() handled by TuyaSpecificClusterDevice.
  */
@@ -24,28 +26,8 @@
 require('../../lib/TuyaSpecificCluster');
 const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
 const { AvailabilityManagerCluster6 } = require('../../lib/AvailabilityManager');
-/**
- * Parse a Tuya datapoint value into a JS type.
- *
- * @param {Object} dpValue
- * @param {number} dpValue.datatype - Tuya datatype (0=raw,1=bool,2=value,3=string,4=enum,5=bitmap)
- * @param {Buffer|Array<number>} dpValue.data
- * @returns {boolean|number|string|Buffer}
- */
-function getDataValue(dpValue) {
-  const data = dpValue.data;
-  switch (dpValue.datatype) {
-    case 0: return data;
-    case 1: return data[0] === 1;
-    case 2: return data.reduce((acc, b) => (acc << 8) | b, 0);
-    case 3: return String.fromCharCode(...data);
-    case 4: return data[0];
-    case 5: return data.reduce((acc, b) => (acc << 8) | b, 0);
-    default: throw new Error(`Unsupported datatype: ${dpValue.datatype}`);
-  }
-}
 
-const DRIVER_VERSION = '3.3.1';
+const DRIVER_VERSION = '3.4.0';
 const DRIVER_NAME    = 'Tuya Temp/Humidity Clock';
 
 /** @enum {number} Tuya datapoint IDs */
@@ -124,6 +106,7 @@ class TempHumidityClockSensor extends TuyaSpecificClusterDevice {
 
   /**
    * Attach all Tuya cluster and node event handlers.
+   * reporting/response are routed through the datapoint map.
    *
    * @param {Object} zclNode
    */
@@ -134,15 +117,7 @@ class TempHumidityClockSensor extends TuyaSpecificClusterDevice {
       return;
     }
 
-    tuya.on('reporting', frame => {
-      this._markAliveFromAvailability?.('reporting');
-      this._processDatapoint(frame);
-    });
-
-    tuya.on('response', frame => {
-      this._markAliveFromAvailability?.('response');
-      this._processDatapoint(frame);
-    });
+    this.installDatapointListeners(zclNode);
 
     tuya.on('heartbeat', () => {
       this._markAliveFromAvailability?.('heartbeat');
@@ -165,65 +140,39 @@ class TempHumidityClockSensor extends TuyaSpecificClusterDevice {
   // ─────────────────────────────────────────────────────────────────────────
 
   /**
-   * Parse and dispatch a single Tuya datapoint frame.
+   * Datapoint map.
+   *   DP1: 0.1°C → value/10
+   *   DP3: battery enum → percentage
+   *   DP9: unit, informational only (no binding)
    *
-   * @param {Object} frame - Tuya cluster frame with dp and datatype/data fields
+   * @returns {Object<number, Object>}
    */
-  _processDatapoint(frame) {
-    if (!frame?.dp) return;
-    try {
-      const value = getDataValue(frame);
-      switch (frame.dp) {
-        case DP.temperature: this._handleTemperature(value); break;
-        case DP.humidity:    this._handleHumidity(value);    break;
-        case DP.battery:     this._handleBattery(value);     break;
-        case DP.tempUnit:    this.log(`[Unit] ${value === 0 ? 'Celsius' : 'Fahrenheit'}`); break;
-        default:             this.log(`[DP] Unknown DP${frame.dp}=${value}`);
-      }
-    } catch (err) {
-      this.error(`[DP${frame.dp}] Parse error:`, err.message);
-    }
+  get datapoints() {
+    return {
+      [DP.temperature]: { capability: 'measure_temperature', type: 'value', scale: 1, direction: 'in' },
+      [DP.humidity]:    { capability: 'measure_humidity', type: 'value', direction: 'in' },
+      [DP.battery]:     { capability: 'measure_battery', type: 'enum', enum: BATTERY_PCT, direction: 'in' },
+      [DP.tempUnit]:    { type: 'enum', direction: 'in' },
+    };
   }
 
   /**
-   * Handle temperature datapoint (DP1).
-   * Raw value is in 0.1°C units → divide by 10.
-   *
-   * @param {number} raw
-   */
-  _handleTemperature(raw) {
-    const temp = raw / 10;
-    this.log(`[Temp] ${temp.toFixed(1)}°C`);
-    this.setCapabilityValue('measure_temperature', temp).catch(this.error);
-  }
-
-  /**
-   * Handle humidity datapoint (DP2).
-   * Raw value is direct percentage.
-   *
-   * @param {number} raw
-   */
-  _handleHumidity(raw) {
-    this.log(`[Humidity] ${raw}%`);
-    this.setCapabilityValue('measure_humidity', raw).catch(this.error);
-  }
-
-  /**
-   * Handle battery datapoint (DP3).
-   * Enum: 0=33%, 1=66%, 2=100%.
+   * Side effects after the map was applied.
    * Sets alarm_battery true when below 50% (enum 0).
    *
-   * @param {number} enumValue - 0, 1, or 2
+   * @param {number} dp
+   * @param {*} value - Decoded value
    */
-  _handleBattery(enumValue) {
-    const pct = BATTERY_PCT[enumValue];
-    if (pct === undefined) {
-      this.error(`[Battery] Unknown enum value: ${enumValue}`);
-      return;
+  async onDatapointReport(dp, value) {
+    switch (dp) {
+      case DP.temperature: this.log(`[Temp] ${value.toFixed(1)}°C`); break;
+      case DP.humidity:    this.log(`[Humidity] ${value}%`); break;
+      case DP.battery:
+        this.log(`[Battery] ${value}%`);
+        this.setCapabilityValue('alarm_battery', value < 50).catch(this.error);
+        break;
+      case DP.tempUnit:    this.log(`[Unit] ${value === 0 ? 'Celsius' : 'Fahrenheit'}`); break;
     }
-    this.log(`[Battery] ${pct}% (enum ${enumValue})`);
-    this.setCapabilityValue('measure_battery', pct).catch(this.error);
-    this.setCapabilityValue('alarm_battery', pct < 50).catch(this.error);
   }
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -274,6 +223,7 @@ class TempHumidityClockSensor extends TuyaSpecificClusterDevice {
   // ─────────────────────────────────────────────────────────────────────────
 
   onDeleted() {
+    super.onDeleted();
     this._availability?.uninstall().catch(() => {});
     this.homey.clearInterval(this._timeSyncTimer);
     this._timeSyncTimer = null;
@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * @file device.js
+ * @description Tuya Air Quality Monitor (TS0601)
+ * @version 1.0.0 - Initial release
+ *
+ * Protocol: Tuya EF00 (cluster 0xEF00), mains powered
+ * DP table: V1_AIR_QUALITY_DATA_POINTS (lib/TuyaDataPoints.js)
+ *
+ * DataPoints:
+ *   DP2:  measure_co2         (value, ppm)
+ *   DP18: measure_temperature (value, 0.1°C → value/10)
+ *   DP19: measure_humidity    (value, 0.1% → value/10)
+ *   DP21: tuya_formaldehyde   (value, µg/m³)
+ *   DP22: tuya_voc            (value, ppb)
+ *
+ * Air quality index: the worst of CO2, VOC and formaldehyde as a percentage
+ * of its *_threshold setting (100% = at the threshold). Reaching 100% fires
+ * air_quality_became_poor; dropping below 100% minus air_quality_hysteresis
+ * fires air_quality_became_good. The poor/good state survives restarts.
+ */
+
+// Must be required before ZigBeeDevice initializes the node so that
+// Cluster.addCluster(TuyaSpecificCluster) runs in time for endpoint binding.
+require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { AvailabilityManagerPing } = require('../../lib/AvailabilityManager');
+const { V1_AIR_QUALITY_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+const DRIVER_VERSION = '1.0.0';
+const DRIVER_NAME    = 'Tuya Air Quality Monitor';
+
+/** Pollutants feeding the index: capability → threshold setting + token label */
+const POLLUTANTS = Object.freeze([
+  { capability: 'measure_co2', setting: 'co2_threshold', label: 'CO2' },
+  { capability: 'tuya_voc', setting: 'voc_threshold', label: 'VOC' },
+  { capability: 'tuya_formaldehyde', setting: 'formaldehyde_threshold', label: 'Formaldehyde' },
+]);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device class
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TuyaAirQualityMonitor extends TuyaSpecificClusterDevice {
+
+  async onNodeInit({ zclNode }) {
+    await super.onNodeInit({ zclNode });
+
+    this.log(`${DRIVER_NAME} v${DRIVER_VERSION}`);
+
+    this._setupTuyaListeners(zclNode);
+
+    this._availability = new AvailabilityManagerPing(this, {
+      timeout: 30 * 60 * 1000,
+      ping: 'dataQuery',
+    });
+    await this._availability.install();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Listeners
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint listeners plus heartbeat handler.
+   *
+   * @param {Object} zclNode
+   */
+  _setupTuyaListeners(zclNode) {
+    const tuya = zclNode.endpoints[this.tuyaEndpoint]?.clusters?.tuya;
+    if (!tuya) {
+      this.error('[Listeners] tuya cluster not available — skipping setup');
+      return;
+    }
+
+    this.installDatapointListeners(zclNode);
+
+    tuya.on('heartbeat', () => this._markAliveFromAvailability?.('heartbeat'));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // DP processing
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint map.
+   *
+   * @returns {Object<number, Object>}
+   */
+  get datapoints() {
+    return {
+      [DP.co2]:          { capability: 'measure_co2', type: 'value', direction: 'in' },
+      [DP.temperature]:  { capability: 'measure_temperature', type: 'value', scale: 1, direction: 'in' },
+      [DP.humidity]:     { capability: 'measure_humidity', type: 'value', scale: 1, direction: 'in' },
+      [DP.formaldehyde]: { capability: 'tuya_formaldehyde', type: 'value', direction: 'in' },
+      [DP.voc]:          { capability: 'tuya_voc', type: 'value', direction: 'in' },
+    };
+  }
+
+  /**
+   * Pollutant reports re-evaluate the air quality index.
+   *
+   * @param {number} dp
+   * @param {*} value - Decoded value
+   * @param {Object} definition
+   */
+  async onDatapointReport(dp, value, definition) {
+    if (POLLUTANTS.some(p => p.capability === definition.capability)) {
+      await this._updateAirQuality();
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Air quality index
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Worst pollutant relative to its threshold.
+   *
+   * @param {Object} settings
+   * @returns {{index: number, pollutant: string}|null} null until a pollutant was reported
+   */
+  _computeAirQuality(settings) {
+    let worst = null;
+
+    for (const { capability, setting, label } of POLLUTANTS) {
+      const value = this.getCapabilityValue(capability);
+      const threshold = settings[setting];
+      if (typeof value !== 'number' || !threshold) continue;
+
+      const index = Math.round((value / threshold) * 100);
+      if (!worst || index > worst.index) worst = { index, pollutant: label };
+    }
+
+    return worst;
+  }
+
+  /**
+   * Publish the index and fire poor/good triggers on transitions.
+   *
+   * @param {Object} [settings] - Defaults to the stored settings
+   */
+  async _updateAirQuality(settings = this.getSettings()) {
+    const quality = this._computeAirQuality(settings);
+    if (!quality) return;
+
+    const { index, pollutant } = quality;
+    await this.setCapabilityValue('tuya_air_quality_index', index).catch(this.error);
+
+    const wasPoor = this.getStoreValue('air_quality_poor') === true;
+    const hysteresis = settings.air_quality_hysteresis ?? 10;
+
+    if (!wasPoor && index >= 100) {
+      this.log(`[AirQuality] Poor — ${pollutant} at ${index}%`);
+      await this.setStoreValue('air_quality_poor', true).catch(this.error);
+      await this.homey.flow.getDeviceTriggerCard('air_quality_became_poor')
+        .trigger(this, { index, pollutant })
+        .catch(err => this.error('[Flow] air_quality_became_poor failed:', err.message));
+    } else if (wasPoor && index < 100 - hysteresis) {
+      this.log(`[AirQuality] Good — index ${index}%`);
+      await this.setStoreValue('air_quality_poor', false).catch(this.error);
+      await this.homey.flow.getDeviceTriggerCard('air_quality_became_good')
+        .trigger(this, { index })
+        .catch(err => this.error('[Flow] air_quality_became_good failed:', err.message));
+    }
+  }
+
+  /**
+   * Flow condition: air quality is poor.
+   *
+   * @returns {boolean}
+   */
+  isAirQualityPoor() {
+    return this.getStoreValue('air_quality_poor') === true;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Settings
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Threshold changes re-evaluate the index right away.
+   *
+   * @param {Object} params
+   * @param {Object} params.oldSettings
+   * @param {Object} params.newSettings
+   * @param {string[]} params.changedKeys
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    const thresholdChanged = changedKeys.some(key =>
+      key === 'air_quality_hysteresis' || POLLUTANTS.some(p => p.setting === key));
+    if (thresholdChanged) {
+      await this._updateAirQuality(newSettings);
+    }
+
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ─────────────────────────────────────────────────────────────────────────
+
+  onDeleted() {
+    super.onDeleted();
+    this._availability?.uninstall().catch(() => {});
+    this.log(`${DRIVER_NAME} - removed`);
+  }
+
+}
+
+module.exports = TuyaAirQualityMonitor;
@@ -0,0 +1,24 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+const DRIVER_NAME = 'Tuya Air Quality Monitor';
+const DRIVER_VERSION = '1.0.0';
+
+/**
+ * TuyaAirQualityDriver
+ *
+ * Driver for TS0601 air quality monitors (V1_AIR_QUALITY_DATA_POINTS).
+ * Registers the device flow condition; all DP logic lives in device.js.
+ */
+class TuyaAirQualityDriver extends ZigBeeDriver {
+
+  async onInit() {
+    this.homey.flow.getConditionCard('air_quality_is_poor')
+      .registerRunListener(async (args) => args.device.isAirQualityPoor());
+
+    this.log(`${DRIVER_NAME} Driver v${DRIVER_VERSION} - Ready`);
+  }
+}
+
+module.exports = TuyaAirQualityDriver;
@@ -0,0 +1,249 @@
+'use strict';
+
+/**
+ * @file device.js
+ * @description Tuya Curtain / Blind Motor (TS0601)
+ * @version 1.0.0 - Initial release
+ *
+ * Protocol: Tuya EF00 (cluster 0xEF00)
+ *
+ * Two DP layouts exist; the layout is chosen by manufacturer name on first
+ * init and kept in the store:
+ *
+ *   V1 (V1_CURTAIN_MOTOR_DATA_POINTS)
+ *     DP2   windowcoverings_set (value %, 0 = closed)
+ *     DP3   arrived             (bool, target reached)
+ *     DP4   motor_reverse       (bool)
+ *     No state DP: up / down are sent as position 100 / 0, stop is unsupported.
+ *
+ *   V2 (V2_CURTAIN_MOTOR_DATA_POINTS)
+ *     DP1   windowcoverings_state   (enum: 0=open/up, 1=stop/idle, 2=close/down)
+ *     DP2   windowcoverings_set     (value %, inverted: 0 = open, write target)
+ *     DP3   windowcoverings_set     (value %, inverted, reported position)
+ *     DP7   workState               (enum: 0=standby, 1=success, 2=learning)
+ *     DP101 motor_reverse           (enum: 0=normal, 1=reversed)
+ *     DP102 upper_limit_calibration (enum: 0=stop, 1=start)
+ *
+ * "Target reached" (V1 arrived / V2 workState success) fires the
+ * curtain_reached_position trigger and sets windowcoverings_state to idle.
+ */
+
+// Must be required before ZigBeeDevice initializes the node so that
+// Cluster.addCluster(TuyaSpecificCluster) runs in time for endpoint binding.
+require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { AvailabilityManagerPing } = require('../../lib/AvailabilityManager');
+const {
+  V1_CURTAIN_MOTOR_DATA_POINTS: V1,
+  V2_CURTAIN_MOTOR_DATA_POINTS: V2,
+} = require('../../lib/TuyaDataPoints');
+
+const DRIVER_VERSION = '1.0.0';
+const DRIVER_NAME    = 'Tuya Curtain Motor';
+
+/** Manufacturer names using the V2 layout; everything else is V1. */
+const V2_MANUFACTURERS = Object.freeze([
+  '_TZE200_5sbebbzs',
+  '_TZE200_cf1sl3tj',
+  '_TZE200_zuz7f94z',
+]);
+
+/** @type {Object.<number, string>} V2 DP1 enum → windowcoverings_state */
+const STATE = Object.freeze({ 0: 'up', 1: 'idle', 2: 'down' });
+
+/** @type {Object.<number, string>} V2 DP7 workState */
+const WORK_STATE = Object.freeze({ 0: 'standby', 1: 'success', 2: 'learning' });
+
+/** @type {Object.<number, boolean>} V2 enum 0/1 → checkbox */
+const ENUM_BOOL = Object.freeze({ 0: false, 1: true });
+
+/** % on the wire, 0-1 in Homey */
+const POSITION = { capability: 'windowcoverings_set', type: 'value', divisor: 100 };
+
+/** Datapoint map per layout */
+const LAYOUTS = Object.freeze({
+  v1: {
+    [V1.position]:     { ...POSITION },
+    [V1.arrived]:      { type: 'bool', direction: 'in' },
+    [V1.motorReverse]: { setting: 'motor_reverse', type: 'bool' },
+  },
+  v2: {
+    [V2.state]:          { capability: 'windowcoverings_state', type: 'enum', enum: STATE },
+    [V2.position1]:      { ...POSITION, invert: true, direction: 'out' },
+    [V2.position2]:      { ...POSITION, invert: true, direction: 'in' },
+    [V2.workState]:      { type: 'enum', enum: WORK_STATE, direction: 'in' },
+    [V2.motorDirection]: { setting: 'motor_reverse', type: 'enum', enum: ENUM_BOOL },
+    [V2.setUpperLimit]:  { setting: 'upper_limit_calibration', type: 'enum', enum: ENUM_BOOL },
+  },
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device class
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TuyaCurtain extends TuyaSpecificClusterDevice {
+
+  async onNodeInit({ zclNode }) {
+    this._layout = await this._resolveLayout();
+
+    await super.onNodeInit({ zclNode });
+
+    this.log(`${DRIVER_NAME} v${DRIVER_VERSION} (${this._layout.toUpperCase()} layout)`);
+
+    this._setupTuyaListeners(zclNode);
+    this.registerDatapointCapabilities();
+
+    if (this._layout === 'v1') {
+      this.registerCapabilityListener('windowcoverings_state', state => this._onV1State(state));
+    }
+
+    this._availability = new AvailabilityManagerPing(this, {
+      timeout: 60 * 60 * 1000,
+      ping: 'dataQuery',
+      commandExpiry: 5 * 60 * 1000,  // a late open/close is worse than none
+    });
+    await this._availability.install();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Setup
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Pick the DP layout from the manufacturer name. Stored on first init so a
+   * missing zb_manufacturer_name later on cannot flip it.
+   *
+   * @returns {Promise<'v1'|'v2'>}
+   */
+  async _resolveLayout() {
+    const stored = this.getStoreValue('dpLayout');
+    if (LAYOUTS[stored]) return stored;
+
+    const manufacturer = this.getSetting('zb_manufacturer_name');
+    const layout = V2_MANUFACTURERS.includes(manufacturer) ? 'v2' : 'v1';
+    await this.setStoreValue('dpLayout', layout).catch(this.error);
+    this.log(`[Layout] ${manufacturer || 'unknown manufacturer'} → ${layout}`);
+    return layout;
+  }
+
+  /**
+   * Datapoint listeners plus heartbeat handler.
+   *
+   * @param {Object} zclNode
+   */
+  _setupTuyaListeners(zclNode) {
+    const tuya = zclNode.endpoints[this.tuyaEndpoint]?.clusters?.tuya;
+    if (!tuya) {
+      this.error('[Listeners] tuya cluster not available — skipping setup');
+      return;
+    }
+
+    this.installDatapointListeners(zclNode);
+
+    tuya.on('heartbeat', () => this._markAliveFromAvailability?.('heartbeat'));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Datapoints
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /** @returns {Object<number, Object>} Map of the detected layout */
+  get datapoints() {
+    return LAYOUTS[this._layout] || {};
+  }
+
+  /**
+   * @param {number} dp
+   * @param {*} value - Decoded value
+   */
+  async onDatapointReport(dp, value) {
+    if (this._layout === 'v1') {
+      switch (dp) {
+        case V1.position: this.log(`[Position] ${Math.round(value * 100)}%`); break;
+        case V1.arrived:  if (value) await this._onPositionReached(); break;
+      }
+      return;
+    }
+
+    switch (dp) {
+      case V2.state:     this.log(`[State] ${value}`); break;
+      case V2.position2: this.log(`[Position] ${Math.round(value * 100)}%`); break;
+      case V2.workState:
+        this.log(`[WorkState] ${value}`);
+        if (value === 'success') await this._onPositionReached();
+        break;
+    }
+  }
+
+  /**
+   * Motor stopped at its target: settle the state and fire the trigger.
+   */
+  async _onPositionReached() {
+    await this.setCapabilityValue('windowcoverings_state', 'idle').catch(this.error);
+
+    const position = Math.round((this.getCapabilityValue('windowcoverings_set') ?? 0) * 100);
+    this.log(`[Arrived] ${position}%`);
+
+    await this.homey.flow.getDeviceTriggerCard('curtain_reached_position')
+      .trigger(this, { position })
+      .catch(err => this.error('[Flow] curtain_reached_position failed:', err.message));
+  }
+
+  /**
+   * V1 has no state DP: up / down drive the position to its end stop.
+   *
+   * @param {'up'|'idle'|'down'} state
+   */
+  async _onV1State(state) {
+    if (state === 'idle') {
+      throw new Error('This motor cannot be stopped remotely');
+    }
+
+    const target = state === 'up' ? 1 : 0;
+    await this.writeDatapoint(V1.position, target);
+    await this.setCapabilityValue('windowcoverings_set', target).catch(this.error);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Settings
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * motor_reverse / upper_limit_calibration are written through the map.
+   *
+   * @param {Object} params
+   * @param {Object} params.oldSettings
+   * @param {Object} params.newSettings
+   * @param {string[]} params.changedKeys
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    if (changedKeys.includes('upper_limit_calibration') && this._layout !== 'v2') {
+      throw new Error('Upper limit calibration is not supported by this motor');
+    }
+
+    await super.onSettings({ oldSettings, newSettings, changedKeys });
+
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ─────────────────────────────────────────────────────────────────────────
+
+  onDeleted() {
+    super.onDeleted();
+    this._availability?.uninstall().catch(() => {});
+    this.log(`${DRIVER_NAME} - removed`);
+  }
+
+}
+
+module.exports = TuyaCurtain;
@@ -0,0 +1,21 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+const DRIVER_NAME = 'Tuya Curtain Motor';
+const DRIVER_VERSION = '1.0.0';
+
+/**
+ * TuyaCurtainDriver
+ *
+ * Driver for curtain / blind motors (V1_CURTAIN_MOTOR_DATA_POINTS and
+ * V2_CURTAIN_MOTOR_DATA_POINTS). All DP logic lives in device.js.
+ */
+class TuyaCurtainDriver extends ZigBeeDriver {
+
+  async onInit() {
+    this.log(`${DRIVER_NAME} Driver v${DRIVER_VERSION} - Ready`);
+  }
+}
+
+module.exports = TuyaCurtainDriver;
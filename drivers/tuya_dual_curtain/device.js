@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * @file device.js
+ * @description Tuya Dual Curtain Module (TS0601, two channels)
+ * @version 1.0.0 - Initial release
+ *
+ * Protocol: Tuya EF00 (cluster 0xEF00), mains powered
+ * DP table: V1_AUTOMATED_CURTAIN_DATA_POINTS (lib/TuyaDataPoints.js)
+ *
+ * Architecture:
+ * - 1 physical Zigbee device with 1 endpoint
+ * - 2 Homey devices sharing the node: Curtain 1 (main) and Curtain 2
+ *   (subDeviceId 'secondCurtain'), each mapping only its own channel DPs
+ *
+ * Per channel (Curtain 1 / Curtain 2):
+ *   DP1 / DP4    windowcoverings_state (enum: 0=open/up, 1=stop/idle, 2=close/down)
+ *   DP2 / DP5    windowcoverings_set   (value %, 0 = closed)
+ *   DP3 / DP6    accurate calibration  (enum: 0=start, 1=end, flow action)
+ *   DP8 / DP9    motor_reverse         (enum: 0=forward, 1=back)
+ *   DP10 / DP11  travel_time           (value 1-180 s, quick calibration)
+ *
+ * Global (main device settings):
+ *   DP12 + DP13  motor_mode  (enum: strong_power, dry_contact — both channels)
+ *   DP14         light_mode  (enum: relay, pos, none)
+ */
+
+// Must be required before ZigBeeDevice initializes the node so that
+// Cluster.addCluster(TuyaSpecificCluster) runs in time for endpoint binding.
+require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { AvailabilityManagerPing } = require('../../lib/AvailabilityManager');
+const { V1_AUTOMATED_CURTAIN_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+const DRIVER_VERSION = '1.0.0';
+const DRIVER_NAME    = 'Tuya Dual Curtain';
+
+/** @type {Object.<number, string>} curtainSwitch enum → windowcoverings_state */
+const STATE = Object.freeze({ 0: 'up', 1: 'idle', 2: 'down' });
+
+/** @type {Object.<number, string>} accurateCalibration enum */
+const CALIBRATION = Object.freeze({ 0: 'start', 1: 'end' });
+
+/** @type {Object.<number, boolean>} motorSteer enum → motor_reverse */
+const STEER = Object.freeze({ 0: false, 1: true });
+
+/** @type {Object.<number, string>} motorMode enum → motor_mode dropdown id */
+const MOTOR_MODE = Object.freeze({ 0: 'strong_power', 1: 'dry_contact' });
+
+/** @type {Object.<number, string>} lightMode enum → light_mode dropdown id */
+const LIGHT_MODE = Object.freeze({ 0: 'relay', 1: 'pos', 2: 'none' });
+
+/** Channel DPs per subDeviceId (main device = channel 1) */
+const CHANNELS = Object.freeze({
+  main: {
+    name: 'Curtain 1',
+    state: DP.curtainSwitchOne,
+    position: DP.percentControlOne,
+    calibration: DP.accurateCalibrationOne,
+    steer: DP.motorSteerOne,
+    travelTime: DP.quickCalibrationOne,
+  },
+  secondCurtain: {
+    name: 'Curtain 2',
+    state: DP.curtainSwitchTwo,
+    position: DP.percentControlTwo,
+    calibration: DP.accurateCalibrationTwo,
+    steer: DP.motorSteerTwo,
+    travelTime: DP.quickCalibrationTwo,
+  },
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device class
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TuyaDualCurtain extends TuyaSpecificClusterDevice {
+
+  async onNodeInit({ zclNode }) {
+    await super.onNodeInit({ zclNode });
+
+    const { subDeviceId } = this.getData();
+    this._isMain  = !subDeviceId;
+    this._channel = CHANNELS[subDeviceId] || CHANNELS.main;
+
+    this.log(`${DRIVER_NAME} v${DRIVER_VERSION} - ${this._channel.name}`);
+
+    // Listeners and availability once per physical device
+    if (this._isMain) {
+      this.installDatapointListeners(zclNode);
+
+      this._availability = new AvailabilityManagerPing(this, {
+        timeout: 25 * 60 * 1000,
+        pingAttempts: 3,                // idle modules only report on movement
+        commandExpiry: 5 * 60 * 1000,   // a late open/close is worse than none
+      });
+      await this._availability.install();
+    }
+
+    this.registerDatapointCapabilities();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Datapoints
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Channel DPs, plus the module-wide DPs on the main device.
+   *
+   * @returns {Object<number, Object>}
+   */
+  get datapoints() {
+    const ch = this._channel || CHANNELS.main;
+
+    const map = {
+      [ch.state]:       { capability: 'windowcoverings_state', type: 'enum', enum: STATE },
+      [ch.position]:    { capability: 'windowcoverings_set', type: 'value', divisor: 100 },
+      [ch.calibration]: { type: 'enum', enum: CALIBRATION, direction: 'out' },
+      [ch.steer]:       { setting: 'motor_reverse', type: 'enum', enum: STEER },
+      [ch.travelTime]:  { setting: 'travel_time', type: 'value' },
+    };
+
+    if (this._isMain) {
+      Object.assign(map, {
+        [DP.motorModeOne]: { setting: 'motor_mode', type: 'enum', enum: MOTOR_MODE },
+        [DP.motorModeTwo]: { type: 'enum', enum: MOTOR_MODE, direction: 'out' },  // mirrored from motor_mode
+        [DP.lightMode]:    { setting: 'light_mode', type: 'enum', enum: LIGHT_MODE },
+      });
+    }
+
+    return map;
+  }
+
+  /**
+   * @param {number} dp
+   * @param {*} value - Decoded value
+   */
+  async onDatapointReport(dp, value) {
+    const ch = this._channel;
+    switch (dp) {
+      case ch.state:      this.log(`[${ch.name}] State ${value}`); break;
+      case ch.position:   this.log(`[${ch.name}] Position ${Math.round(value * 100)}%`); break;
+      case ch.travelTime: this.log(`[${ch.name}] Travel time ${value}s`); break;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Calibration (flow actions, per channel)
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Quick calibration: store the travel time of this channel.
+   *
+   * @param {number} seconds - 1-180
+   */
+  async setTravelTime(seconds) {
+    await this.writeDatapoint(this._channel.travelTime, seconds);
+    await this.setSettings({ travel_time: seconds }).catch(this.error);
+    this.log(`[${this._channel.name}] Travel time set to ${seconds}s`);
+  }
+
+  /**
+   * Accurate calibration: 'start' begins a measured run, 'end' stores it.
+   *
+   * @param {'start'|'end'} step
+   */
+  async runAccurateCalibration(step) {
+    await this.writeDatapoint(this._channel.calibration, step);
+    this.log(`[${this._channel.name}] Accurate calibration ${step}`);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Settings
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Channel settings are written through the map; motor_mode is written to
+   * both channels so the module stays consistent.
+   *
+   * @param {Object} params
+   * @param {Object} params.oldSettings
+   * @param {Object} params.newSettings
+   * @param {string[]} params.changedKeys
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    await super.onSettings({ oldSettings, newSettings, changedKeys });
+
+    if (!this._isMain) return;
+
+    if (changedKeys.includes('motor_mode')) {
+      await this.writeDatapoint(DP.motorModeTwo, newSettings.motor_mode);
+    }
+
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ─────────────────────────────────────────────────────────────────────────
+
+  onDeleted() {
+    super.onDeleted();
+    this._availability?.uninstall().catch(() => {});
+    this.log(`${this._channel.name} removed`);
+  }
+
+}
+
+module.exports = TuyaDualCurtain;
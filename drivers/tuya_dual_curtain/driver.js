@@ -0,0 +1,27 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+const DRIVER_NAME = 'Tuya Dual Curtain';
+const DRIVER_VERSION = '1.0.0';
+
+/**
+ * TuyaDualCurtainDriver
+ *
+ * Driver for two-channel curtain modules (V1_AUTOMATED_CURTAIN_DATA_POINTS).
+ * Calibration cards run on whichever curtain tile is selected.
+ */
+class TuyaDualCurtainDriver extends ZigBeeDriver {
+
+  async onInit() {
+    this.homey.flow.getActionCard('dual_curtain_travel_time')
+      .registerRunListener(async (args) => args.device.setTravelTime(args.seconds));
+
+    this.homey.flow.getActionCard('dual_curtain_accurate_calibration')
+      .registerRunListener(async (args) => args.device.runAccurateCalibration(args.step));
+
+    this.log(`${DRIVER_NAME} Driver v${DRIVER_VERSION} - Ready`);
+  }
+}
+
+module.exports = TuyaDualCurtainDriver;
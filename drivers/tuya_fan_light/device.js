@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * @file device.js
+ * @description Tuya Ceiling Fan + Light Switch (TS0601)
+ * @version 1.0.0 - Initial release
+ *
+ * Protocol: Tuya EF00 (cluster 0xEF00), mains powered
+ * DP table: V1_FAN_SWITCH_DATA_POINTS (lib/TuyaDataPoints.js)
+ *
+ * Architecture:
+ * - 1 physical Zigbee device with 1 endpoint
+ * - 2 Homey devices sharing the node: the fan (main) and the light
+ *   (subDeviceId 'light'), each mapping only its own DPs
+ *
+ * Fan (main device):
+ *   DP1:  onoff            (bool)
+ *   DP3:  speed level      (enum: level_1 … level_5) → dim in 'level' control
+ *   DP4:  speed percent    (value 1-100)             → dim in 'percent' control
+ *   DP11: power_on_state   (enum: off, on, memory)
+ *   DP12: indicator_mode   (enum: none, relay, pos)
+ *   DP13: backlight        (bool)
+ *
+ * Light (sub-device):
+ *   DP5:  onoff            (bool)
+ *   DP6:  dim              (value 10-1000)
+ *   DP8:  min_brightness   (value 10-1000 → %)
+ *   DP9:  max_brightness   (value 10-1000 → %)
+ *
+ * Fan speed_control setting picks which speed DP drives dim: 'percent' for
+ * fans with a stepless speed, 'level' for 5-speed fans (dim in steps of 20%).
+ * dim 0 switches fan or light off; dimming while off switches on.
+ */
+
+// Must be required before ZigBeeDevice initializes the node so that
+// Cluster.addCluster(TuyaSpecificCluster) runs in time for endpoint binding.
+require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { AvailabilityManagerPing } = require('../../lib/AvailabilityManager');
+const { V1_FAN_SWITCH_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+const DRIVER_VERSION = '1.0.0';
+const DRIVER_NAME    = 'Tuya Ceiling Fan + Light';
+
+/** @type {Object.<number, number>} fanSpeed enum → level 1-5 */
+const FAN_LEVEL = Object.freeze({ 0: 1, 1: 2, 2: 3, 3: 4, 4: 5 });
+const FAN_LEVELS = 5;
+
+/** @type {Object.<number, string>} powerOnStateSetting enum → power_on_state dropdown id */
+const POWER_ON_STATE = Object.freeze({ 0: 'off', 1: 'on', 2: 'memory' });
+
+/** @type {Object.<number, string>} indicatorStatusSetting enum → indicator_mode dropdown id */
+const INDICATOR_MODE = Object.freeze({ 0: 'none', 1: 'relay', 2: 'pos' });
+
+/** Light brightness DPs run 10-1000 */
+const BRIGHTNESS_SCALE = 1000;
+const MIN_BRIGHTNESS   = 10;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device class
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TuyaFanLight extends TuyaSpecificClusterDevice {
+
+  async onNodeInit({ zclNode }) {
+    await super.onNodeInit({ zclNode });
+
+    const { subDeviceId } = this.getData();
+    this._isMain = !subDeviceId;
+
+    this.log(`${DRIVER_NAME} v${DRIVER_VERSION} - ${this._isMain ? 'Fan' : 'Light'}`);
+
+    // Listeners and availability once per physical device
+    if (this._isMain) {
+      this._setupTuyaListeners(zclNode);
+
+      this._availability = new AvailabilityManagerPing(this, {
+        timeout: 25 * 60 * 1000,
+        commandExpiry: 2 * 60 * 1000,  // a fan starting much later is a surprise
+      });
+      await this._availability.install();
+    }
+
+    this.registerDatapointCapabilities();
+    this.registerCapabilityListener('dim', value => this._onDim(value));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Listeners
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint listeners plus heartbeat handler.
+   *
+   * @param {Object} zclNode
+   */
+  _setupTuyaListeners(zclNode) {
+    const tuya = zclNode.endpoints[this.tuyaEndpoint]?.clusters?.tuya;
+    if (!tuya) {
+      this.error('[Listeners] tuya cluster not available — skipping setup');
+      return;
+    }
+
+    this.installDatapointListeners(zclNode);
+
+    tuya.on('heartbeat', () => this._markAliveFromAvailability?.('heartbeat'));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Datapoints
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Fan DPs on the main device, light DPs on the sub-device. dim is 'in' on
+   * both: writes go through _onDim to handle off, on and the speed mode.
+   *
+   * @returns {Object<number, Object>}
+   */
+  get datapoints() {
+    if (this.getData().subDeviceId) {
+      return {
+        [DP.fanLightSwitch]: { capability: 'onoff', type: 'bool' },
+        [DP.brightness]:     { capability: 'dim', type: 'value', divisor: BRIGHTNESS_SCALE, direction: 'in' },
+        [DP.minBrightness]:  { setting: 'min_brightness', type: 'value', divisor: 10 },
+        [DP.maxBrightness]:  { setting: 'max_brightness', type: 'value', divisor: 10 },
+      };
+    }
+
+    return {
+      [DP.fanSwitch]:              { capability: 'onoff', type: 'bool' },
+      [DP.fanSpeed]:               { type: 'enum', enum: FAN_LEVEL },
+      [DP.fanSpeedPercent]:        { type: 'value', divisor: 100 },
+      [DP.powerOnStateSetting]:    { setting: 'power_on_state', type: 'enum', enum: POWER_ON_STATE },
+      [DP.indicatorStatusSetting]: { setting: 'indicator_mode', type: 'enum', enum: INDICATOR_MODE },
+      [DP.backlightSwitch]:        { setting: 'backlight', type: 'bool' },
+    };
+  }
+
+  /**
+   * @param {number} dp
+   * @param {*} value - Decoded value
+   */
+  async onDatapointReport(dp, value) {
+    switch (dp) {
+      case DP.fanSpeed:
+        this.log(`[Fan] Level ${value}`);
+        if (this._speedControl() === 'level') await this._setDim(value / FAN_LEVELS);
+        break;
+      case DP.fanSpeedPercent:
+        this.log(`[Fan] Speed ${Math.round(value * 100)}%`);
+        if (this._speedControl() === 'percent') await this._setDim(value);
+        break;
+      case DP.brightness:
+        this.log(`[Light] Brightness ${Math.round(value * 100)}%`);
+        break;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Commands
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * dim → fan speed or light brightness. 0 switches off; dimming while off
+   * switches on.
+   *
+   * @param {number} value - 0-1
+   */
+  async _onDim(value) {
+    const onOffDp = this._isMain ? DP.fanSwitch : DP.fanLightSwitch;
+
+    if (value <= 0) {
+      await this.writeDatapoint(onOffDp, false);
+      await this.setCapabilityValue('onoff', false).catch(this.error);
+      return;
+    }
+
+    if (this.getCapabilityValue('onoff') !== true) {
+      await this.writeDatapoint(onOffDp, true);
+      await this.setCapabilityValue('onoff', true).catch(this.error);
+    }
+
+    if (!this._isMain) {
+      await this.writeDatapoint(DP.brightness, Math.max(MIN_BRIGHTNESS / BRIGHTNESS_SCALE, value));
+      return;
+    }
+
+    if (this._speedControl() === 'level') {
+      const level = Math.min(FAN_LEVELS, Math.max(1, Math.round(value * FAN_LEVELS)));
+      await this.writeDatapoint(DP.fanSpeed, level);
+      this.log(`[Fan] Level set to ${level}`);
+    } else {
+      await this.writeDatapoint(DP.fanSpeedPercent, Math.max(0.01, value));
+      this.log(`[Fan] Speed set to ${Math.max(1, Math.round(value * 100))}%`);
+    }
+  }
+
+  /** @returns {'percent'|'level'} Fan speed DP in use */
+  _speedControl() {
+    return this.getSetting('speed_control') || 'percent';
+  }
+
+  /**
+   * @param {number} value - 0-1
+   */
+  async _setDim(value) {
+    await this.setCapabilityValue('dim', value).catch(this.error);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Settings
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Mapped settings are written by the base class; min above max is
+   * rejected before anything is sent.
+   *
+   * @param {Object} params
+   * @param {Object} params.oldSettings
+   * @param {Object} params.newSettings
+   * @param {string[]} params.changedKeys
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    if (!this._isMain && newSettings.min_brightness >= newSettings.max_brightness) {
+      throw new Error('Minimum brightness must be below maximum brightness');
+    }
+
+    await super.onSettings({ oldSettings, newSettings, changedKeys });
+
+    if (!this._isMain) return;
+
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ─────────────────────────────────────────────────────────────────────────
+
+  onDeleted() {
+    super.onDeleted();
+    this._availability?.uninstall().catch(() => {});
+    this.log(`${this._isMain ? 'Fan' : 'Light'} removed`);
+  }
+
+}
+
+module.exports = TuyaFanLight;
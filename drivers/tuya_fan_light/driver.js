@@ -0,0 +1,22 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+const DRIVER_NAME = 'Tuya Ceiling Fan + Light';
+const DRIVER_VERSION = '1.0.0';
+
+/**
+ * TuyaFanLightDriver
+ *
+ * Driver for ceiling fan switches with an integrated light
+ * (V1_FAN_SWITCH_DATA_POINTS). Pairs a fan tile and a light tile; all DP
+ * logic lives in device.js.
+ */
+class TuyaFanLightDriver extends ZigBeeDriver {
+
+  async onInit() {
+    this.log(`${DRIVER_NAME} Driver v${DRIVER_VERSION} - Ready`);
+  }
+}
+
+module.exports = TuyaFanLightDriver;
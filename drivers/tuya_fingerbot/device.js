@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * @file device.js
+ * @description Tuya Fingerbot (TS0001 / TS0601)
+ * @version 1.0.1 - Press-for limited to click mode, mode listeners registered once
+ *
+ * Protocol: Tuya EF00 (cluster 0xEF00), battery powered
+ * DP table: V1_FINGER_BOT_DATA_POINTS (lib/TuyaDataPoints.js)
+ *
+ * DataPoints:
+ *   DP1:   onoff / press     (bool)
+ *   DP101: mode              (enum: 0=click, 1=switch, 2=program)
+ *   DP102: lower_limit       (value, % arm travel, 0-50)
+ *   DP103: press_delay       (value, s the arm stays down, 0-10)
+ *   DP104: reverse           (bool)
+ *   DP105: measure_battery   (value, %) + alarm_battery below 20%
+ *   DP106: upper_limit       (value, % arm travel, 50-100)
+ *   DP107: touch_control     (bool)
+ *
+ * Capabilities follow the mode: click mode shows a `button` that presses
+ * once, switch and program mode show `onoff`. Both write DP1.
+ */
+
+// Must be required before ZigBeeDevice initializes the node so that
+// Cluster.addCluster(TuyaSpecificCluster) runs in time for endpoint binding.
+require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { AvailabilityManagerCluster6 } = require('../../lib/AvailabilityManager');
+const { V1_FINGER_BOT_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+const DRIVER_VERSION = '1.0.1';
+const DRIVER_NAME    = 'Tuya Fingerbot';
+
+/** @type {Object.<number, string>} DP101 mode enum → mode dropdown id */
+const MODE = Object.freeze({ 0: 'click', 1: 'switch', 2: 'program' });
+
+const LOW_BATTERY = 20; // %
+const MAX_DELAY   = 10; // s
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device class
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TuyaFingerbot extends TuyaSpecificClusterDevice {
+
+  async onNodeInit({ zclNode }) {
+    await super.onNodeInit({ zclNode });
+
+    this.log(`${DRIVER_NAME} v${DRIVER_VERSION}`);
+
+    this._availability = null;
+    this._modeCapability = null;
+
+    await this._applyModeCapabilities(this.getSetting('mode') || 'click');
+
+    this._setupTuyaListeners(zclNode);
+    await this._initAvailability();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Listeners
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint listeners plus heartbeat handler.
+   *
+   * @param {Object} zclNode
+   */
+  _setupTuyaListeners(zclNode) {
+    const tuya = zclNode.endpoints[this.tuyaEndpoint]?.clusters?.tuya;
+    if (!tuya) {
+      this.error('[Listeners] tuya cluster not available — skipping setup');
+      return;
+    }
+
+    this.installDatapointListeners(zclNode);
+
+    tuya.on('heartbeat', () => this._markAliveFromAvailability?.('heartbeat'));
+  }
+
+  /**
+   * Swap onoff / button for the mode and register the listener of the one
+   * that is shown. DP101 is reported repeatedly; the listener is only
+   * registered when the shown capability changes.
+   *
+   * @param {'click'|'switch'|'program'} mode
+   */
+  async _applyModeCapabilities(mode) {
+    const [show, hide] = mode === 'click' ? ['button', 'onoff'] : ['onoff', 'button'];
+
+    if (this.hasCapability(hide)) {
+      await this.removeCapability(hide).catch(this.error);
+    }
+    if (!this.hasCapability(show)) {
+      await this.addCapability(show).catch(this.error);
+      this.log(`[Mode] ${mode} → ${show}`);
+    }
+
+    if (this._modeCapability === show) return;
+    this._modeCapability = show;
+
+    if (show === 'button') {
+      this.registerCapabilityListener('button', () => this.press());
+    } else {
+      this.registerCapabilityListener('onoff', value => this.writeDatapoint(DP.onOff, value));
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // DP processing
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint map. DP1 is 'in': its writes go through the onoff / button
+   * listeners registered for the current mode.
+   *
+   * @returns {Object<number, Object>}
+   */
+  get datapoints() {
+    return {
+      [DP.onOff]:      { capability: 'onoff', type: 'bool', direction: 'in' },
+      [DP.mode]:       { setting: 'mode', type: 'enum', enum: MODE },
+      [DP.lowerLimit]: { setting: 'lower_limit', type: 'value' },
+      [DP.upperLimit]: { setting: 'upper_limit', type: 'value' },
+      [DP.delay]:      { setting: 'press_delay', type: 'value' },
+      [DP.reverse]:    { setting: 'reverse', type: 'bool' },
+      [DP.touch]:      { setting: 'touch_control', type: 'bool' },
+      [DP.battery]:    { capability: 'measure_battery', type: 'value', direction: 'in' },
+    };
+  }
+
+  /**
+   * @param {number} dp
+   * @param {*} value - Decoded value
+   */
+  async onDatapointReport(dp, value) {
+    switch (dp) {
+      case DP.mode:
+        await this._applyModeCapabilities(value);
+        break;
+      case DP.battery:
+        this.log(`[Battery] ${value}%`);
+        await this.setCapabilityValue('alarm_battery', value < LOW_BATTERY).catch(this.error);
+        break;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Commands
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Press once (click mode), or switch on in switch / program mode.
+   */
+  async press() {
+    await this.writeDatapoint(DP.onOff, true);
+    this.log('[Press] Sent');
+  }
+
+  /**
+   * Flow action: keep the arm down for a number of seconds, then release.
+   * The press time (DP103) only applies in click mode.
+   *
+   * @param {number} seconds - 0-10
+   */
+  async pressFor(seconds) {
+    const mode = this.getSetting('mode') || 'click';
+    if (mode !== 'click') {
+      throw new Error(`Press for a number of seconds only works in click mode (now ${mode})`);
+    }
+    if (seconds < 0 || seconds > MAX_DELAY) {
+      throw new Error(`Press time must be 0-${MAX_DELAY} seconds`);
+    }
+
+    if (this.getSetting('press_delay') !== seconds) {
+      await this.writeDatapoint(DP.delay, seconds);
+      await this.setSettings({ press_delay: seconds }).catch(this.error);
+    }
+    this.log(`[Press] ${seconds}s`);
+    await this.press();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Availability monitoring
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Install AvailabilityManagerCluster6 with 24h timeout (battery device).
+   * The fingerbot sleeps between presses and reports battery rarely.
+   */
+  async _initAvailability() {
+    this._availability = new AvailabilityManagerCluster6(this, {
+      timeout: 24 * 60 * 60 * 1000,
+      commandExpiry: 60 * 1000,  // a press minutes later is worse than none
+    });
+    await this._availability.install();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Settings
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Mapped settings are written by the base class; a mode change also
+   * swaps the onoff / button capability.
+   *
+   * @param {Object} params
+   * @param {Object} params.oldSettings
+   * @param {Object} params.newSettings
+   * @param {string[]} params.changedKeys
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    await super.onSettings({ oldSettings, newSettings, changedKeys });
+
+    if (changedKeys.includes('mode')) {
+      await this._applyModeCapabilities(newSettings.mode);
+    }
+
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ─────────────────────────────────────────────────────────────────────────
+
+  onDeleted() {
+    super.onDeleted();
+    this._availability?.uninstall().catch(() => {});
+    this.log(`${DRIVER_NAME} - removed`);
+  }
+
+}
+
+module.exports = TuyaFingerbot;
@@ -0,0 +1,24 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+const DRIVER_NAME = 'Tuya Fingerbot';
+const DRIVER_VERSION = '1.0.0';
+
+/**
+ * TuyaFingerbotDriver
+ *
+ * Driver for Zigbee fingerbots (V1_FINGER_BOT_DATA_POINTS).
+ * Registers the device flow card; all DP logic lives in device.js.
+ */
+class TuyaFingerbotDriver extends ZigBeeDriver {
+
+  async onInit() {
+    this.homey.flow.getActionCard('fingerbot_press_for')
+      .registerRunListener(async (args) => args.device.pressFor(args.seconds));
+
+    this.log(`${DRIVER_NAME} Driver v${DRIVER_VERSION} - Ready`);
+  }
+}
+
+module.exports = TuyaFingerbotDriver;
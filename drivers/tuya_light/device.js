@@ -0,0 +1,427 @@
+'use strict';
+
+/**
+ * @file device.js
+ * @description Tuya RGB+CCT Light (TS0601)
+ * @version 1.1.0 - Scenes (DP25) via lib/TuyaLightScene
+ *
+ * Protocol: Tuya EF00 (cluster 0xEF00), mains powered
+ *
+ * Two DP layouts exist; the layout is chosen by manufacturer name on first
+ * init and kept in the store:
+ *
+ *   V2 (V2_LIGHT_DATA_POINTS)              V1 (V1_LIGHT_DATA_POINTS)
+ *   DP20 onoff                             DP1 onoff
+ *   DP21 mode (white/colour/scene/music)   DP2 mode
+ *   DP22 white brightness (10-1000)        DP3 white brightness (10-1000)
+ *   DP23 color temperature (0-1000)        —   (no white temperature)
+ *   DP24 color "hhhhssssvvvv"              DP5 color "rrggbbhhhhssvv"
+ *                                          DP4 color brightness (10-1000)
+ *   DP25 scene string                      —   (no scenes)
+ *
+ * Color strings are handled by lib/TuyaColor. dim follows the active mode:
+ * white brightness in white mode, the color value (V2) or color brightness
+ * (V1) in colour mode. Scene and music modes show as light_mode 'color'.
+ *
+ * Tuya color temperature runs 0 = warm → 1000 = cold, Homey's the other way
+ * round, so it is mapped with the `invert` flag.
+ *
+ * playScene() switches V2 lights to scene mode and writes a scene built by
+ * lib/TuyaLightScene (presets or custom JSON from the flow cards).
+ */
+
+// Must be required before ZigBeeDevice initializes the node so that
+// Cluster.addCluster(TuyaSpecificCluster) runs in time for endpoint binding.
+require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { AvailabilityManagerPing } = require('../../lib/AvailabilityManager');
+const {
+  V1_LIGHT_DATA_POINTS: V1,
+  V2_LIGHT_DATA_POINTS: V2,
+} = require('../../lib/TuyaDataPoints');
+const {
+  parseHsvString, marshalHsvString, parseRgbHsvString, marshalRgbHsvString,
+} = require('../../lib/TuyaColor');
+const { SCENE_PRESETS, marshalSceneString, parseSceneString } = require('../../lib/TuyaLightScene');
+
+const DRIVER_VERSION = '1.1.0';
+const DRIVER_NAME    = 'Tuya RGB+CCT Light';
+
+/** Manufacturer names using the V1 layout; everything else is V2. */
+const V1_MANUFACTURERS = Object.freeze([
+  '_TZE200_5gzrrkxx',
+  '_TZE200_m0vaazab',
+]);
+
+/** @type {Object.<number, string>} mode enum */
+const MODE = Object.freeze({ 0: 'white', 1: 'colour', 2: 'scene', 3: 'music' });
+
+/** Brightness DPs run 10-1000; below 10 the light would not accept the value */
+const BRIGHTNESS_SCALE = 1000;
+const MIN_BRIGHTNESS   = 10;
+
+const LIGHT_CAPABILITIES = ['onoff', 'dim', 'light_hue', 'light_saturation', 'light_temperature', 'light_mode'];
+
+/** Per layout: DP numbers and color codec */
+const LAYOUTS = Object.freeze({
+  v1: {
+    dp: {
+      onOff: V1.onOff, mode: V1.mode, brightness: V1.whiteDimLevel,
+      colorBrightness: V1.colorDimLevel, color: V1.color,
+    },
+    parseColor: parseRgbHsvString,
+    marshalColor: marshalRgbHsvString,
+  },
+  v2: {
+    dp: {
+      onOff: V2.onOff, mode: V2.mode, brightness: V2.brightness,
+      colorTemperature: V2.colorTemperature, color: V2.color, scene: V2.scene,
+    },
+    parseColor: parseHsvString,
+    marshalColor: marshalHsvString,
+  },
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device class
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TuyaLight extends TuyaSpecificClusterDevice {
+
+  async onNodeInit({ zclNode }) {
+    this._layout = await this._resolveLayout();
+
+    await super.onNodeInit({ zclNode });
+
+    this.log(`${DRIVER_NAME} v${DRIVER_VERSION} (${this._layout.toUpperCase()} layout)`);
+
+    // V1 has no color temperature DP
+    if (this._layout === 'v1' && this.hasCapability('light_temperature')) {
+      await this.removeCapability('light_temperature').catch(this.error);
+    }
+
+    this._setupTuyaListeners(zclNode);
+
+    this.registerMultipleCapabilityListener(
+      LIGHT_CAPABILITIES.filter(capability => this.hasCapability(capability)),
+      values => this._onLightCapabilities(values),
+      300,
+    );
+
+    this._availability = new AvailabilityManagerPing(this, {
+      timeout: 25 * 60 * 1000,
+      commandExpiry: 2 * 60 * 1000,  // a light switching on much later is a surprise
+    });
+    await this._availability.install();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Setup
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Pick the DP layout from the manufacturer name. Stored on first init so a
+   * missing zb_manufacturer_name later on cannot flip it.
+   *
+   * @returns {Promise<'v1'|'v2'>}
+   */
+  async _resolveLayout() {
+    const stored = this.getStoreValue('dpLayout');
+    if (LAYOUTS[stored]) return stored;
+
+    const manufacturer = this.getSetting('zb_manufacturer_name');
+    const layout = V1_MANUFACTURERS.includes(manufacturer) ? 'v1' : 'v2';
+    await this.setStoreValue('dpLayout', layout).catch(this.error);
+    this.log(`[Layout] ${manufacturer || 'unknown manufacturer'} → ${layout}`);
+    return layout;
+  }
+
+  /**
+   * Datapoint listeners plus heartbeat handler.
+   *
+   * @param {Object} zclNode
+   */
+  _setupTuyaListeners(zclNode) {
+    const tuya = zclNode.endpoints[this.tuyaEndpoint]?.clusters?.tuya;
+    if (!tuya) {
+      this.error('[Listeners] tuya cluster not available — skipping setup');
+      return;
+    }
+
+    this.installDatapointListeners(zclNode);
+
+    tuya.on('heartbeat', () => this._markAliveFromAvailability?.('heartbeat'));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Datapoints
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /** @returns {Object} DP numbers of the detected layout */
+  get _dp() {
+    return (LAYOUTS[this._layout] || LAYOUTS.v2).dp;
+  }
+
+  /**
+   * Datapoint map. Only onoff and color temperature bind directly; mode,
+   * brightness and color depend on each other and are applied in
+   * onDatapointReport. Everything is 'in': writes go through
+   * _onLightCapabilities so a single change writes mode and value together.
+   *
+   * @returns {Object<number, Object>}
+   */
+  get datapoints() {
+    const dp = this._dp;
+    const brightness = { type: 'value', divisor: BRIGHTNESS_SCALE, direction: 'in' };
+
+    const map = {
+      [dp.onOff]:      { capability: 'onoff', type: 'bool', direction: 'in' },
+      [dp.mode]:       { type: 'enum', enum: MODE },
+      [dp.brightness]: { ...brightness },
+      [dp.color]:      { type: 'string', direction: 'in' },
+    };
+
+    if (dp.colorTemperature) {
+      map[dp.colorTemperature] = { capability: 'light_temperature', type: 'value', divisor: BRIGHTNESS_SCALE, invert: true, direction: 'in' };
+    }
+    if (dp.colorBrightness) {
+      map[dp.colorBrightness] = { ...brightness };
+    }
+    if (dp.scene) {
+      map[dp.scene] = { type: 'string' };
+    }
+
+    return map;
+  }
+
+  /**
+   * @param {number} dp
+   * @param {*} value - Decoded value
+   */
+  async onDatapointReport(dp, value) {
+    const dps = this._dp;
+
+    switch (dp) {
+      case dps.mode:
+        this.log(`[Mode] ${value}`);
+        await this.setStoreValue('mode', value).catch(this.error);
+        await this._setCapability('light_mode', value === 'white' ? 'temperature' : 'color');
+        break;
+
+      case dps.brightness:
+        if (this._isWhiteMode()) await this._setCapability('dim', value);
+        break;
+
+      case dps.colorBrightness:
+        if (!this._isWhiteMode()) await this._setCapability('dim', value);
+        break;
+
+      case dps.color:
+        await this._onColorReport(value);
+        break;
+
+      case dps.scene:
+        this._onSceneReport(value);
+        break;
+    }
+  }
+
+  /**
+   * Apply a reported color string. V2 carries brightness in its value part.
+   *
+   * @param {string} text
+   */
+  async _onColorReport(text) {
+    let hsv;
+    try {
+      hsv = LAYOUTS[this._layout].parseColor(text);
+    } catch (err) {
+      this.error('[Color] decode failed:', err.message);
+      return;
+    }
+
+    this.log(`[Color] h=${Math.round(hsv.hue * 360)} s=${Math.round(hsv.saturation * 100)}% v=${Math.round(hsv.value * 100)}%`);
+    await this._setCapability('light_hue', hsv.hue);
+    await this._setCapability('light_saturation', hsv.saturation);
+
+    if (this._layout === 'v2' && !this._isWhiteMode()) {
+      await this._setCapability('dim', hsv.value);
+    }
+  }
+
+  /**
+   * Log a reported scene; the light echoes it after playScene() and when a
+   * scene is picked in the Tuya app.
+   *
+   * @param {string} text
+   */
+  _onSceneReport(text) {
+    try {
+      const { id, steps } = parseSceneString(text);
+      const colors = steps.reduce((count, step) => count + step.colors.length, 0);
+      this.log(`[Scene] #${id}: ${steps.map(step => step.mode).join(', ')} (${colors} colors)`);
+    } catch (err) {
+      this.error('[Scene] decode failed:', err.message);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Commands
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Debounced handler for all light capabilities. Works out the target mode
+   * from what changed and writes mode first, then color / brightness.
+   *
+   * @param {Object} values - Changed capabilities
+   */
+  async _onLightCapabilities(values) {
+    const dp = this._dp;
+
+    if (values.onoff === false || values.dim === 0) {
+      await this.writeDatapoint(dp.onOff, false);
+      await this._setCapability('onoff', false);
+      return;
+    }
+
+    // Dimming a light that is off switches it on, as with ZCL lights
+    if (values.onoff === true || (values.dim !== undefined && this.getCapabilityValue('onoff') !== true)) {
+      await this.writeDatapoint(dp.onOff, true);
+      await this._setCapability('onoff', true);
+    }
+
+    const colorChanged = values.light_hue !== undefined || values.light_saturation !== undefined;
+    const wantsColor = colorChanged || values.light_mode === 'color';
+    const wantsWhite = values.light_temperature !== undefined || values.light_mode === 'temperature';
+
+    let white = this._isWhiteMode();
+    if (wantsColor) white = false;
+    else if (wantsWhite) white = true;
+
+    // Also leaves scene / music mode
+    const mode = white ? 'white' : 'colour';
+    if (mode !== this.getStoreValue('mode') || values.light_mode !== undefined) {
+      await this.writeDatapoint(dp.mode, mode);
+      await this.setStoreValue('mode', mode).catch(this.error);
+      await this._setCapability('light_mode', white ? 'temperature' : 'color');
+    }
+
+    const dim = values.dim ?? this.getCapabilityValue('dim') ?? 1;
+
+    if (white) {
+      if (values.light_temperature !== undefined) {
+        await this.writeDatapoint(dp.colorTemperature, values.light_temperature);
+      }
+      if (values.dim !== undefined || values.light_mode !== undefined) {
+        await this.writeDatapoint(dp.brightness, this._brightness(dim));
+      }
+      return;
+    }
+
+    if (colorChanged || values.dim !== undefined || values.light_mode !== undefined) {
+      await this._writeColor({
+        hue: values.light_hue ?? this.getCapabilityValue('light_hue') ?? 0,
+        saturation: values.light_saturation ?? this.getCapabilityValue('light_saturation') ?? 1,
+        value: this._brightness(dim),
+      });
+    }
+  }
+
+  /**
+   * Flow action: play a built-in or custom scene.
+   *
+   * @param {string|Object|Array} scene - SCENE_PRESETS key, or human scene / JSON
+   */
+  async playScene(scene) {
+    const dp = this._dp;
+    if (!dp.scene) throw new Error('[Scene] this light has no scene support (V1 layout)');
+
+    const text = marshalSceneString(Object.hasOwn(SCENE_PRESETS, scene) ? SCENE_PRESETS[scene] : scene);
+
+    if (this.getCapabilityValue('onoff') !== true) {
+      await this.writeDatapoint(dp.onOff, true);
+      await this._setCapability('onoff', true);
+    }
+    await this.writeDatapoint(dp.mode, 'scene');
+    await this.setStoreValue('mode', 'scene').catch(this.error);
+    await this._setCapability('light_mode', 'color');
+    await this.writeDatapoint(dp.scene, text);
+    this.log(`[Scene] Written ${text}`);
+  }
+
+  /**
+   * Write a color. V1 also needs its separate color brightness DP.
+   *
+   * @param {{hue: number, saturation: number, value: number}} hsv - 0-1 each
+   */
+  async _writeColor(hsv) {
+    const dp = this._dp;
+    const text = LAYOUTS[this._layout].marshalColor(hsv);
+
+    if (dp.colorBrightness) {
+      await this.writeDatapoint(dp.colorBrightness, hsv.value);
+    }
+    await this.writeDatapoint(dp.color, text);
+    this.log(`[Color] Written ${text}`);
+  }
+
+  /**
+   * dim → brightness within the 10-1000 range the light accepts.
+   *
+   * @param {number} dim - 0-1
+   * @returns {number} 0.01-1
+   */
+  _brightness(dim) {
+    return Math.max(MIN_BRIGHTNESS / BRIGHTNESS_SCALE, Math.min(1, dim));
+  }
+
+  /** @returns {boolean} Light is in white (color temperature) mode */
+  _isWhiteMode() {
+    return (this.getStoreValue('mode') || 'white') === 'white';
+  }
+
+  /**
+   * @param {string} capability
+   * @param {*} value
+   */
+  async _setCapability(capability, value) {
+    if (!this.hasCapability(capability)) return;
+    if (this.getCapabilityValue(capability) === value) return;
+    await this.setCapabilityValue(capability, value).catch(this.error);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Settings
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * @param {Object} params
+   * @param {Object} params.oldSettings
+   * @param {Object} params.newSettings
+   * @param {string[]} params.changedKeys
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ─────────────────────────────────────────────────────────────────────────
+
+  onDeleted() {
+    super.onDeleted();
+    this._availability?.uninstall().catch(() => {});
+    this.log(`${DRIVER_NAME} - removed`);
+  }
+
+}
+
+module.exports = TuyaLight;
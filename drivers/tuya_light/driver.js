@@ -0,0 +1,28 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+const DRIVER_NAME = 'Tuya RGB+CCT Light';
+const DRIVER_VERSION = '1.1.0';
+
+/**
+ * TuyaLightDriver
+ *
+ * Driver for TS0601 RGB+CCT lights (V1_LIGHT_DATA_POINTS and
+ * V2_LIGHT_DATA_POINTS). Registers the scene flow cards; all DP logic lives
+ * in device.js.
+ */
+class TuyaLightDriver extends ZigBeeDriver {
+
+  async onInit() {
+    this.homey.flow.getActionCard('play_light_scene')
+      .registerRunListener(async (args) => args.device.playScene(args.scene));
+
+    this.homey.flow.getActionCard('play_custom_light_scene')
+      .registerRunListener(async (args) => args.device.playScene(args.scene));
+
+    this.log(`${DRIVER_NAME} Driver v${DRIVER_VERSION} - Ready`);
+  }
+}
+
+module.exports = TuyaLightDriver;
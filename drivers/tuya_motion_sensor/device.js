@@ -0,0 +1,169 @@
+'use strict';
+
+/**
+ * @file device.js
+ * @description Tuya PIR Motion Sensor (TS0601)
+ * @version 1.0.0 - Initial release
+ *
+ * Protocol: Tuya EF00 (cluster 0xEF00), battery powered (sleepy end device)
+ * DP table: V1_MOTION_SENSOR_DATA_POINTS (lib/TuyaDataPoints.js)
+ *
+ * DataPoints:
+ *   DP1:   alarm_motion      (enum: 0=none, 1=pir)
+ *   DP4:   measure_battery   (value, %)
+ *   DP9:   pir_sensitivity   (enum: 0=low, 1=medium, 2=high)
+ *   DP10:  pir_time          (enum: 0=10s, 1=30s, 2=60s, 3=120s)
+ *   DP12:  measure_luminance (value, lux)
+ *   DP102: interval_time     (value, s)
+ *
+ * Settings are written through the datapoint map (enums via writeEnum) and
+ * synced back from reports, so changes made in the Tuya app show up too.
+ * The sensor only listens while awake; writes to a sleeping sensor fail.
+ */
+
+// Must be required before ZigBeeDevice initializes the node so that
+// Cluster.addCluster(TuyaSpecificCluster) runs in time for endpoint binding.
+require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { AvailabilityManagerCluster6 } = require('../../lib/AvailabilityManager');
+const { V1_MOTION_SENSOR_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+const DRIVER_VERSION = '1.0.0';
+const DRIVER_NAME    = 'Tuya PIR Motion Sensor';
+
+/** @type {Object.<number, boolean>} DP1 pirState → alarm_motion */
+const PIR_STATE = Object.freeze({ 0: false, 1: true });
+
+/** @type {Object.<number, string>} DP9 enum → pir_sensitivity dropdown id */
+const SENSITIVITY = Object.freeze({ 0: 'low', 1: 'medium', 2: 'high' });
+
+/** @type {Object.<number, string>} DP10 enum → pir_time dropdown id (seconds) */
+const KEEP_TIME = Object.freeze({ 0: '10', 1: '30', 2: '60', 3: '120' });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device class
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TuyaMotionSensor extends TuyaSpecificClusterDevice {
+
+  async onNodeInit({ zclNode }) {
+    await super.onNodeInit({ zclNode });
+
+    this.log(`${DRIVER_NAME} v${DRIVER_VERSION}`);
+
+    this._availability = null;
+
+    this._setupTuyaListeners(zclNode);
+    await this._initAvailability();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Listeners
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Attach all Tuya cluster and node event handlers.
+   * reporting/response are routed through the datapoint map.
+   *
+   * @param {Object} zclNode
+   */
+  _setupTuyaListeners(zclNode) {
+    const tuya = zclNode.endpoints[this.tuyaEndpoint]?.clusters?.tuya;
+    if (!tuya) {
+      this.error('[Listeners] tuya cluster not available — skipping setup');
+      return;
+    }
+
+    this.installDatapointListeners(zclNode);
+
+    tuya.on('heartbeat', () => this._markAliveFromAvailability?.('heartbeat'));
+
+    zclNode.on('online', () => { this.log('[Node] Online'); this._markAliveFromAvailability?.('online'); });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // DP processing
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint map.
+   *
+   * @returns {Object<number, Object>}
+   */
+  get datapoints() {
+    return {
+      [DP.pirState]:          { capability: 'alarm_motion', type: 'enum', enum: PIR_STATE, direction: 'in' },
+      [DP.batteryPercentage]: { capability: 'measure_battery', type: 'value', direction: 'in' },
+      [DP.illuminanceValue]:  { capability: 'measure_luminance', type: 'value', direction: 'in' },
+      [DP.pirSensitivity]:    { setting: 'pir_sensitivity', type: 'enum', enum: SENSITIVITY },
+      [DP.pirTime]:           { setting: 'pir_time', type: 'enum', enum: KEEP_TIME },
+      [DP.intervalTime]:      { setting: 'interval_time', type: 'value' },
+    };
+  }
+
+  /**
+   * @param {number} dp
+   * @param {*} value - Decoded value
+   */
+  async onDatapointReport(dp, value) {
+    switch (dp) {
+      case DP.pirState:          this.log(`[Motion] ${value ? 'detected' : 'cleared'}`); break;
+      case DP.batteryPercentage: this.log(`[Battery] ${value}%`); break;
+      case DP.illuminanceValue:  this.log(`[Lux] ${value}`); break;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Availability monitoring
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Install AvailabilityManagerCluster6 with 24h timeout (battery device).
+   * Without motion the sensor only checks in with its battery report.
+   */
+  async _initAvailability() {
+    this._availability = new AvailabilityManagerCluster6(this, {
+      timeout: 24 * 60 * 60 * 1000,
+    });
+    await this._availability.install();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Settings
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Sensitivity, keep time and interval are written through the map.
+   *
+   * @param {Object} params
+   * @param {Object} params.oldSettings
+   * @param {Object} params.newSettings
+   * @param {string[]} params.changedKeys
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    await super.onSettings({ oldSettings, newSettings, changedKeys });
+
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ─────────────────────────────────────────────────────────────────────────
+
+  onDeleted() {
+    super.onDeleted();
+    this._availability?.uninstall().catch(() => {});
+    this.log(`${DRIVER_NAME} - removed`);
+  }
+
+}
+
+module.exports = TuyaMotionSensor;
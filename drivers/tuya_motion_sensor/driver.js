@@ -0,0 +1,21 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+const DRIVER_NAME = 'Tuya PIR Motion Sensor';
+const DRIVER_VERSION = '1.0.0';
+
+/**
+ * TuyaMotionSensorDriver
+ *
+ * Driver for TS0601 PIR motion sensors (V1_MOTION_SENSOR_DATA_POINTS).
+ * All DP logic lives in device.js.
+ */
+class TuyaMotionSensorDriver extends ZigBeeDriver {
+
+  async onInit() {
+    this.log(`${DRIVER_NAME} Driver v${DRIVER_VERSION} - Ready`);
+  }
+}
+
+module.exports = TuyaMotionSensorDriver;
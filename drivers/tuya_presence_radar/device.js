@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * @file device.js
+ * @description Tuya mmWave Presence Radar (TS0601)
+ * @version 1.0.1 - Whole-second detection delay on V1
+ *
+ * Protocol: Tuya EF00 (cluster 0xEF00), mains powered
+ *
+ * Two DP layouts exist; the layout is chosen by manufacturer name on first
+ * init and kept in the store. Homey units are the same for both: distances
+ * in m, times in s.
+ *
+ *   V1 (V1_RADAR_SENSOR_DATA_POINTS)       V2 (V2_RADAR_SENSOR_DATA_POINTS)
+ *   DP1   presence   → alarm_motion        DP105 presence
+ *   DP2   sensitivity (0-100)              DP106 sensitivity (0-10)
+ *   DP3   minimum range (cm)               DP108 minimum range (m × 100)
+ *   DP4   maximum range (cm)               DP107 maximum range (m × 100)
+ *   DP9   target distance (cm)             DP109 target distance (m × 100)
+ *   DP101 detection delay (s)              DP111 detection delay (s × 10)
+ *   DP102 fading time (s)                  DP110 fading time (s × 10)
+ *   DP104 illuminance (lux)                DP104 illuminance (lux)
+ */
+
+// Must be required before ZigBeeDevice initializes the node so that
+// Cluster.addCluster(TuyaSpecificCluster) runs in time for endpoint binding.
+require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { AvailabilityManagerPing } = require('../../lib/AvailabilityManager');
+const {
+  V1_RADAR_SENSOR_DATA_POINTS: V1,
+  V2_RADAR_SENSOR_DATA_POINTS: V2,
+} = require('../../lib/TuyaDataPoints');
+
+const DRIVER_VERSION = '1.0.1';
+const DRIVER_NAME    = 'Tuya Presence Radar';
+
+/** Manufacturer names using the V2 layout; everything else is V1. */
+const V2_MANUFACTURERS = Object.freeze([
+  '_TZE204_sxm7l9xa',
+  '_TZE204_e5m9c5hl',
+]);
+
+/** Highest sensitivity each layout accepts */
+const MAX_SENSITIVITY = Object.freeze({ v1: 100, v2: 10 });
+
+/** Detection delay resolution each layout accepts (s); V1 has no scale */
+const DELAY_STEP = Object.freeze({ v1: 1, v2: 0.1 });
+
+/** cm on the wire, m in Homey (both layouts) */
+const DISTANCE = { type: 'value', divisor: 100 };
+
+/** Datapoint map per layout */
+const LAYOUTS = Object.freeze({
+  v1: {
+    [V1.presenceState]:  { capability: 'alarm_motion', type: 'bool', direction: 'in' },
+    [V1.illuminanceLux]: { capability: 'measure_luminance', type: 'value', direction: 'in' },
+    [V1.targetDistance]: { capability: 'tuya_target_distance', ...DISTANCE, direction: 'in' },
+    [V1.sensitivity]:    { setting: 'radar_sensitivity', type: 'value' },
+    [V1.minimumRange]:   { setting: 'minimum_range', ...DISTANCE },
+    [V1.maximumRange]:   { setting: 'maximum_range', ...DISTANCE },
+    [V1.detectionDelay]: { setting: 'detection_delay', type: 'value' },
+    [V1.fadingTime]:     { setting: 'fading_time', type: 'value' },
+  },
+  v2: {
+    [V2.presenceState]:    { capability: 'alarm_motion', type: 'bool', direction: 'in' },
+    [V2.illuminanceLux]:   { capability: 'measure_luminance', type: 'value', direction: 'in' },
+    [V2.targetDistance]:   { capability: 'tuya_target_distance', ...DISTANCE, direction: 'in' },
+    [V2.radarSensitivity]: { setting: 'radar_sensitivity', type: 'value' },
+    [V2.minimumRange]:     { setting: 'minimum_range', ...DISTANCE },
+    [V2.maximumRange]:     { setting: 'maximum_range', ...DISTANCE },
+    [V2.detectionDelay]:   { setting: 'detection_delay', type: 'value', scale: 1 },
+    [V2.fadingTime]:       { setting: 'fading_time', type: 'value', scale: 1 },
+  },
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device class
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TuyaPresenceRadar extends TuyaSpecificClusterDevice {
+
+  async onNodeInit({ zclNode }) {
+    this._layout = await this._resolveLayout();
+
+    await super.onNodeInit({ zclNode });
+
+    this.log(`${DRIVER_NAME} v${DRIVER_VERSION} (${this._layout.toUpperCase()} layout)`);
+
+    this._setupTuyaListeners(zclNode);
+
+    this._availability = new AvailabilityManagerPing(this, {
+      timeout: 30 * 60 * 1000,
+      ping: 'dataQuery',
+    });
+    await this._availability.install();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Setup
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Pick the DP layout from the manufacturer name. Stored on first init so a
+   * missing zb_manufacturer_name later on cannot flip it.
+   *
+   * @returns {Promise<'v1'|'v2'>}
+   */
+  async _resolveLayout() {
+    const stored = this.getStoreValue('dpLayout');
+    if (LAYOUTS[stored]) return stored;
+
+    const manufacturer = this.getSetting('zb_manufacturer_name');
+    const layout = V2_MANUFACTURERS.includes(manufacturer) ? 'v2' : 'v1';
+    await this.setStoreValue('dpLayout', layout).catch(this.error);
+    this.log(`[Layout] ${manufacturer || 'unknown manufacturer'} → ${layout}`);
+    return layout;
+  }
+
+  /**
+   * Datapoint listeners plus heartbeat handler.
+   *
+   * @param {Object} zclNode
+   */
+  _setupTuyaListeners(zclNode) {
+    const tuya = zclNode.endpoints[this.tuyaEndpoint]?.clusters?.tuya;
+    if (!tuya) {
+      this.error('[Listeners] tuya cluster not available — skipping setup');
+      return;
+    }
+
+    this.installDatapointListeners(zclNode);
+
+    tuya.on('heartbeat', () => this._markAliveFromAvailability?.('heartbeat'));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Datapoints
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /** @returns {Object<number, Object>} Map of the detected layout */
+  get datapoints() {
+    return LAYOUTS[this._layout] || {};
+  }
+
+  /**
+   * Presence changes are logged; distance and lux report too often for that.
+   *
+   * @param {number} dp
+   * @param {*} value - Decoded value
+   * @param {Object} definition
+   */
+  async onDatapointReport(dp, value, definition) {
+    if (definition.capability === 'alarm_motion') {
+      this.log(`[Presence] ${value ? 'detected' : 'cleared'}`);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Settings
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Sensitivity, range and timing are written through the map, after the
+   * checks of what the detected layout accepts.
+   *
+   * @param {Object} params
+   * @param {Object} params.oldSettings
+   * @param {Object} params.newSettings
+   * @param {string[]} params.changedKeys
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    const maxSensitivity = MAX_SENSITIVITY[this._layout];
+    if (newSettings.radar_sensitivity > maxSensitivity) {
+      throw new Error(`This radar accepts a sensitivity of 0-${maxSensitivity}`);
+    }
+    // Only when changed: an unrelated save must not fail on a delay the radar
+    // itself reported or that was stored before this check existed
+    const delayStep = DELAY_STEP[this._layout];
+    const delaySteps = newSettings.detection_delay / delayStep;
+    if (changedKeys.includes('detection_delay') && Math.abs(delaySteps - Math.round(delaySteps)) > 1e-6) {
+      throw new Error(delayStep === 1
+        ? 'This radar accepts the detection delay in whole seconds'
+        : `This radar accepts the detection delay in steps of ${delayStep} s`);
+    }
+    if (newSettings.minimum_range >= newSettings.maximum_range) {
+      throw new Error('Minimum range must be below the maximum range');
+    }
+
+    await super.onSettings({ oldSettings, newSettings, changedKeys });
+
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ─────────────────────────────────────────────────────────────────────────
+
+  onDeleted() {
+    super.onDeleted();
+    this._availability?.uninstall().catch(() => {});
+    this.log(`${DRIVER_NAME} - removed`);
+  }
+
+}
+
+module.exports = TuyaPresenceRadar;
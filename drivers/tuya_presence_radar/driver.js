@@ -0,0 +1,21 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+const DRIVER_NAME = 'Tuya Presence Radar';
+const DRIVER_VERSION = '1.0.0';
+
+/**
+ * TuyaPresenceRadarDriver
+ *
+ * Driver for TS0601 mmWave presence radars (V1 / V2_RADAR_SENSOR_DATA_POINTS).
+ * All DP logic lives in device.js.
+ */
+class TuyaPresenceRadarDriver extends ZigBeeDriver {
+
+  async onInit() {
+    this.log(`${DRIVER_NAME} Driver v${DRIVER_VERSION} - Ready`);
+  }
+}
+
+module.exports = TuyaPresenceRadarDriver;
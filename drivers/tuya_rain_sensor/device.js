@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * @file device.js
+ * @description Tuya Solar Rain Sensor (TS0207)
+ * @version 1.0.0 - Initial release
+ *
+ * Protocol: Tuya EF00 (cluster 0xEF00), solar charged battery
+ * DP table: V1_RAIN_SENSOR_DATA_POINTS (lib/TuyaDataPoints.js)
+ *
+ * DataPoints (measurements arrive as RAW DPs holding a uint32, decoded
+ * through the map's numberType):
+ *   DP101: measure_luminance            (raw uint32, lx)
+ *   DP102: measure_luminance.average    (raw uint32, lx, 20-minute average)
+ *   DP103: measure_luminance.max_today  (raw uint32, lx)
+ *   DP104: cleaning_reminder            (bool) → rain_sensor_cleaning_reminder
+ *   DP105: tuya_rain_intensity          (raw uint32, mV)
+ *
+ * alarm_water ("Raining") is on while the rain intensity is at or above the
+ * rain_threshold setting and clears RAIN_HYSTERESIS below it.
+ */
+
+// Must be required before ZigBeeDevice initializes the node so that
+// Cluster.addCluster(TuyaSpecificCluster) runs in time for endpoint binding.
+require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { AvailabilityManagerCluster6 } = require('../../lib/AvailabilityManager');
+const { V1_RAIN_SENSOR_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+const DRIVER_VERSION = '1.0.0';
+const DRIVER_NAME    = 'Tuya Rain Sensor';
+
+const RAIN_HYSTERESIS = 50; // mV below rain_threshold before alarm_water clears
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device class
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TuyaRainSensor extends TuyaSpecificClusterDevice {
+
+  async onNodeInit({ zclNode }) {
+    await super.onNodeInit({ zclNode });
+
+    this.log(`${DRIVER_NAME} v${DRIVER_VERSION}`);
+
+    this._availability = null;
+
+    this._setupTuyaListeners(zclNode);
+    await this._initAvailability();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Listeners
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint listeners plus heartbeat handler.
+   *
+   * @param {Object} zclNode
+   */
+  _setupTuyaListeners(zclNode) {
+    const tuya = zclNode.endpoints[this.tuyaEndpoint]?.clusters?.tuya;
+    if (!tuya) {
+      this.error('[Listeners] tuya cluster not available — skipping setup');
+      return;
+    }
+
+    this.installDatapointListeners(zclNode);
+
+    tuya.on('heartbeat', () => this._markAliveFromAvailability?.('heartbeat'));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // DP processing
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint map. The cleaning reminder is applied in onDatapointReport so
+   * that only a new reminder fires the trigger.
+   *
+   * @returns {Object<number, Object>}
+   */
+  get datapoints() {
+    const raw = { type: 'raw', numberType: 'uint32', direction: 'in' };
+    return {
+      [DP.illuminance]:               { capability: 'measure_luminance', ...raw },
+      [DP.illuminance_average_20min]: { capability: 'measure_luminance.average', ...raw },
+      [DP.illuminance_maximum_today]: { capability: 'measure_luminance.max_today', ...raw },
+      [DP.cleaning_reminder]:         { type: 'bool', direction: 'in' },
+      [DP.rain_intensity]:            { capability: 'tuya_rain_intensity', ...raw },
+    };
+  }
+
+  /**
+   * @param {number} dp
+   * @param {*} value - Decoded value
+   */
+  async onDatapointReport(dp, value) {
+    switch (dp) {
+      case DP.rain_intensity:
+        await this._updateRaining(value);
+        break;
+      case DP.cleaning_reminder:
+        await this._onCleaningReminder(value);
+        break;
+    }
+  }
+
+  /**
+   * Set alarm_water from the rain intensity with hysteresis.
+   *
+   * @param {number} intensity - mV
+   * @param {number} [threshold] - Defaults to the rain_threshold setting
+   */
+  async _updateRaining(intensity, threshold = this.getSetting('rain_threshold') ?? 200) {
+    const wasRaining = this.getCapabilityValue('alarm_water') === true;
+
+    let raining = wasRaining;
+    if (!wasRaining && intensity >= threshold) raining = true;
+    else if (wasRaining && intensity < threshold - RAIN_HYSTERESIS) raining = false;
+
+    if (raining !== wasRaining) {
+      this.log(`[Rain] ${raining ? 'Started' : 'Stopped'} — ${intensity} mV (threshold ${threshold} mV)`);
+      await this.setCapabilityValue('alarm_water', raining).catch(this.error);
+    }
+  }
+
+  /**
+   * Fire rain_sensor_cleaning_reminder when the reminder is raised. The
+   * last state survives restarts so a repeated report does not re-trigger.
+   *
+   * @param {boolean} reminder
+   */
+  async _onCleaningReminder(reminder) {
+    const wasSet = this.getStoreValue('cleaning_reminder') === true;
+    if (reminder === wasSet) return;
+
+    await this.setStoreValue('cleaning_reminder', reminder).catch(this.error);
+    if (!reminder) {
+      this.log('[Cleaning] Reminder cleared');
+      return;
+    }
+
+    this.log('[Cleaning] Sensor needs cleaning — triggering flow');
+    await this.homey.flow.getDeviceTriggerCard('rain_sensor_cleaning_reminder')
+      .trigger(this)
+      .catch(err => this.error('[Flow] rain_sensor_cleaning_reminder failed:', err.message));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Availability monitoring
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Install AvailabilityManagerCluster6 with 24h timeout (battery device).
+   * Illuminance is reported regularly in daylight, not at all at night,
+   * and winter nights last well over 8 hours.
+   */
+  async _initAvailability() {
+    this._availability = new AvailabilityManagerCluster6(this, {
+      timeout: 24 * 60 * 60 * 1000,
+    });
+    await this._availability.install();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Settings
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * A new threshold re-evaluates alarm_water right away.
+   *
+   * @param {Object} params
+   * @param {Object} params.oldSettings
+   * @param {Object} params.newSettings
+   * @param {string[]} params.changedKeys
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    const intensity = this.getCapabilityValue('tuya_rain_intensity');
+    if (changedKeys.includes('rain_threshold') && typeof intensity === 'number') {
+      await this._updateRaining(intensity, newSettings.rain_threshold);
+    }
+
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ─────────────────────────────────────────────────────────────────────────
+
+  onDeleted() {
+    super.onDeleted();
+    this._availability?.uninstall().catch(() => {});
+    this.log(`${DRIVER_NAME} - removed`);
+  }
+
+}
+
+module.exports = TuyaRainSensor;
@@ -0,0 +1,21 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+const DRIVER_NAME = 'Tuya Rain Sensor';
+const DRIVER_VERSION = '1.0.0';
+
+/**
+ * TuyaRainSensorDriver
+ *
+ * Driver for solar rain sensors (V1_RAIN_SENSOR_DATA_POINTS).
+ * All DP logic lives in device.js.
+ */
+class TuyaRainSensorDriver extends ZigBeeDriver {
+
+  async onInit() {
+    this.log(`${DRIVER_NAME} Driver v${DRIVER_VERSION} - Ready`);
+  }
+}
+
+module.exports = TuyaRainSensorDriver;
@@ -4,32 +4,11 @@ const { Cluster } = require('zigbee-clusters');
 const TuyaSpecificCluster = require('../../lib/TuyaSpecificCluster');
 const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
 const { AvailabilityManagerCluster0 } = require('../../lib/AvailabilityManager');
-/**
- * Parse a Tuya datapoint value into a JS type.
- *
- * @param {Object} dpValue
- * @param {number} dpValue.datatype - Tuya datatype (0=raw,1=bool,2=value,3=string,4=enum,5=bitmap)
- * @param {Buffer|Array<number>} dpValue.data
- * @returns {boolean|number|string|Buffer}
- */
-function getDataValue(dpValue) {
-  const data = dpValue.data;
-  switch (dpValue.datatype) {
-    case 0: return data;
-    case 1: return data[0] === 1;
-    case 2: return data.reduce((acc, b) => (acc << 8) | b, 0);
-    case 3: return String.fromCharCode(...data);
-    case 4: return data[0];
-    case 5: return data.reduce((acc, b) => (acc << 8) | b, 0);
-    default: throw new Error(`Unsupported datatype: ${dpValue.datatype}`);
-  }
-}
-
 
 Cluster.addCluster(TuyaSpecificCluster);
 
 const DRIVER_NAME = 'Tuya Siren';
-const DRIVER_VERSION = '2.3.0';
+const DRIVER_VERSION = '2.4.1';
 
 /**
  * Retry configuration
@@ -50,10 +29,19 @@ const DP = {
   MELODY: 21,
 };
 
+/**
+ * Enum tables: raw device value → dropdown setting id
+ */
+const VOLUME_ENUM = { 0: '0', 1: '1', 2: '2' };
+const MELODY_ENUM = Object.fromEntries(
+  Array.from({ length: 18 }, (_, i) => [i, String(i)])
+);
+
 /**
  * Tuya Neo Smart Siren Driver
  * 
- * Version: 2.3.0 - COMPLETE (balanced + condition)
+ * Version: 2.4.1 - Firmware version read for the app health API
+ * Version: 2.4.0 - Declarative datapoint map
  * 
  * Design:
  * - Settings = Default configuration
@@ -61,6 +49,7 @@ const DP = {
  * - Flow action = Override melody + duration
  * - Flow condition = Check if playing
  * - Flow triggers = When activated/deactivated
+ * - Settings sync / battery via TuyaSpecificClusterDevice map
  */
 class TuyaNeoSiren extends TuyaSpecificClusterDevice {
 
@@ -69,7 +58,7 @@ class TuyaNeoSiren extends TuyaSpecificClusterDevice {
     this.printNode();
 
     // Setup Tuya listeners
-    this._setupTuyaListeners(zclNode);
+    this.installDatapointListeners(zclNode, ['response', 'reporting', 'datapoint']);
 
     // Install availability monitoring
     this._availability = new AvailabilityManagerCluster0(this, {
@@ -87,59 +76,35 @@ class TuyaNeoSiren extends TuyaSpecificClusterDevice {
     // Register flow cards
     this._registerFlowCards();
 
+    // Firmware version for the app health API (the base onNodeInit is not used here)
+    this._readFirmwareVersion(zclNode);
+
     this.log(`${DRIVER_NAME} ready`);
   }
 
   /**
-   * Setup Tuya cluster event listeners
+   * Datapoint map
+   * Alarm DP has no capability binding: transitions drive flow triggers.
    */
-  _setupTuyaListeners(zclNode) {
-    const tuya = zclNode.endpoints?.[1]?.clusters?.tuya;
-
-    if (!tuya) {
-      this.error('Tuya cluster not found');
-      return;
-    }
-
-    const handleTuya = (data) => this._processDatapoint(data);
-
-    tuya.on('response', handleTuya);
-    tuya.on('reporting', handleTuya);
-    tuya.on('datapoint', handleTuya);
-
-    this.log('Tuya listeners attached');
+  get datapoints() {
+    const settings = {
+      retries: RETRY_CONFIG.SETTINGS.retries,
+      delay: RETRY_CONFIG.SETTINGS.delay,
+    };
+    return {
+      [DP.ALARM]:    { type: 'bool' },
+      [DP.VOLUME]:   { setting: 'alarmvolume', type: 'enum', enum: VOLUME_ENUM, ...settings },
+      [DP.DURATION]: { setting: 'alarmsoundtime', type: 'value', ...settings },
+      [DP.MELODY]:   { setting: 'alarmtune', type: 'enum', enum: MELODY_ENUM, ...settings },
+      [DP.BATTERY]:  { capability: 'measure_battery', type: 'value', direction: 'in' },
+    };
   }
 
   /**
-   * Process incoming Tuya datapoint
+   * Alarm state reported by device
    */
-  _processDatapoint(data) {
-    const dp = data?.dp;
-    const value = getDataValue(data);
-
-    switch (dp) {
-      case DP.ALARM:
-        this._handleAlarmState(value);
-        break;
-
-      case DP.VOLUME:
-        this._syncSetting('alarmvolume', String(value));
-        break;
-
-      case DP.DURATION:
-        this._syncSetting('alarmsoundtime', value);
-        break;
-
-      case DP.MELODY:
-        this._syncSetting('alarmtune', String(value));
-        break;
-
-      case DP.BATTERY:
-        if (typeof value === 'number' && value >= 0 && value <= 100) {
-          this.setCapabilityValue('measure_battery', value).catch(this.error);
-        }
-        break;
-    }
+  async onDatapointReport(dp, value) {
+    if (dp === DP.ALARM) this._handleAlarmState(value);
   }
 
   /**
@@ -160,16 +125,6 @@ class TuyaNeoSiren extends TuyaSpecificClusterDevice {
     }
   }
 
-  /**
-   * Sync setting from device
-   */
-  _syncSetting(key, value) {
-    const current = this.getSetting(key);
-    if (current != value) {
-      this.setSettings({ [key]: value }).catch(this.error);
-    }
-  }
-
   /**
    * Handle on/off capability (uses Settings defaults)
    */
@@ -284,56 +239,23 @@ class TuyaNeoSiren extends TuyaSpecificClusterDevice {
 
   /**
    * Handle settings changes
+   * Volume / duration / tune are written through the datapoint map.
    */
-  async onSettings({ newSettings, changedKeys }) {
-    for (const key of changedKeys) {
-      switch (key) {
-        case 'alarmvolume':
-          const volume = Number(newSettings[key]);
-          if (volume < 0 || volume > 2) {
-            throw new Error('Volume must be 0-2');
-          }
-          await this.writeEnum(
-            DP.VOLUME,
-            volume,
-            RETRY_CONFIG.SETTINGS.retries,
-            RETRY_CONFIG.SETTINGS.delay
-          );
-          break;
-
-        case 'alarmsoundtime':
-          const duration = Number(newSettings[key]);
-          if (duration < 1 || duration > 1800) {
-            throw new Error('Duration must be 1-1800 seconds');
-          }
-          await this.writeData32(
-            DP.DURATION,
-            duration,
-            RETRY_CONFIG.SETTINGS.retries,
-            RETRY_CONFIG.SETTINGS.delay
-          );
-          break;
-
-        case 'alarmtune':
-          const melody = Number(newSettings[key]);
-          if (melody < 0 || melody > 17) {
-            throw new Error('Melody must be 0-17');
-          }
-          await this.writeEnum(
-            DP.MELODY,
-            melody,
-            RETRY_CONFIG.SETTINGS.retries,
-            RETRY_CONFIG.SETTINGS.delay
-          );
-          break;
-
-        case 'health_monitoring_enabled':
-          if (newSettings.health_monitoring_enabled) {
-            await this._availability.install();
-          } else {
-            await this._availability.uninstall();
-          }
-          break;
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    if (changedKeys.includes('alarmsoundtime')) {
+      const duration = Number(newSettings.alarmsoundtime);
+      if (duration < 1 || duration > 1800) {
+        throw new Error('Duration must be 1-1800 seconds');
+      }
+    }
+
+    await super.onSettings({ oldSettings, newSettings, changedKeys });
+
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        await this._availability.install();
+      } else {
+        await this._availability.uninstall();
       }
     }
   }
@@ -342,6 +264,7 @@ class TuyaNeoSiren extends TuyaSpecificClusterDevice {
    * Cleanup
    */
   onDeleted() {
+    super.onDeleted();
     if (this._availability) {
       this._availability.uninstall();
     }
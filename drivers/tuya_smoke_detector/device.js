@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * @file device.js
+ * @description Tuya Smoke Detector (TS0601)
+ * @version 1.0.1 - No smoke_alarm_off trigger for the first report of a new device
+ *
+ * Protocol: Tuya EF00 (cluster 0xEF00), battery powered
+ * DP table: V1_SMOKE_DATA_POINTS (lib/TuyaDataPoints.js)
+ *
+ * DataPoints:
+ *   DP1:  smokeAlarm   (enum, inverted: 0=alarm, 1=normal) → alarm_smoke
+ *   DP4:  tamperAlert  (bool) → alarm_tamper
+ *   DP14: batteryState (enum: 0=20%, 1=50%, 2=90%) → measure_battery;
+ *         alarm_battery at the lowest state
+ *
+ * alarm_smoke transitions fire smoke_alarm_on / smoke_alarm_off and raise a
+ * Homey notification on alarm, like the gas detector.
+ * alarm_tamper only fires if alarm_tamper_enabled setting is true.
+ */
+
+// Must be required before ZigBeeDevice initializes the node so that
+// Cluster.addCluster(TuyaSpecificCluster) runs in time for endpoint binding.
+require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { AvailabilityManagerCluster6 } = require('../../lib/AvailabilityManager');
+const { V1_SMOKE_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+const DRIVER_VERSION = '1.0.1';
+const DRIVER_NAME    = 'Tuya Smoke Detector';
+
+/** @type {Object.<number, boolean>} DP1 smokeAlarm (inverted) → smoke detected */
+const SMOKE_ALARM = Object.freeze({ 0: true, 1: false });
+
+/** @type {Object.<number, number>} DP14 batteryState enum → percentage */
+const BATTERY_PCT = Object.freeze({ 0: 20, 1: 50, 2: 90 });
+
+const LOW_BATTERY = 20; // %, lowest state the detector reports
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device class
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TuyaSmokeDetector extends TuyaSpecificClusterDevice {
+
+  async onNodeInit({ zclNode }) {
+    await super.onNodeInit({ zclNode });
+
+    this.log(`${DRIVER_NAME} v${DRIVER_VERSION}`);
+
+    this._availability = null;
+
+    // Cache flow trigger cards
+    this._triggerSmokeOn  = this.homey.flow.getDeviceTriggerCard('smoke_alarm_on');
+    this._triggerSmokeOff = this.homey.flow.getDeviceTriggerCard('smoke_alarm_off');
+
+    this._setupTuyaListeners(zclNode);
+    await this._initAvailability();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Listeners
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint listeners plus heartbeat handler.
+   *
+   * @param {Object} zclNode
+   */
+  _setupTuyaListeners(zclNode) {
+    const tuya = zclNode.endpoints[this.tuyaEndpoint]?.clusters?.tuya;
+    if (!tuya) {
+      this.error('[Listeners] tuya cluster not available — skipping setup');
+      return;
+    }
+
+    this.installDatapointListeners(zclNode);
+
+    tuya.on('heartbeat', () => this._markAliveFromAvailability?.('heartbeat'));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // DP processing
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint map. Smoke and tamper are applied in onDatapointReport so that
+   * transitions can be detected (and tamper gated by its setting).
+   *
+   * @returns {Object<number, Object>}
+   */
+  get datapoints() {
+    return {
+      [DP.smokeAlarm]:   { type: 'enum', enum: SMOKE_ALARM, direction: 'in' },
+      [DP.tamperAlert]:  { type: 'bool', direction: 'in' },
+      [DP.batteryState]: { capability: 'measure_battery', type: 'enum', enum: BATTERY_PCT, direction: 'in' },
+    };
+  }
+
+  /**
+   * @param {number} dp
+   * @param {*} value - Decoded value
+   */
+  async onDatapointReport(dp, value) {
+    switch (dp) {
+      case DP.smokeAlarm:
+        this._applySmokeAlarm(value);
+        break;
+      case DP.tamperAlert:
+        this.log(`[Tamper] ${value}`);
+        if (this.getSetting('alarm_tamper_enabled') !== false || !value) {
+          this._setCapabilitySafe('alarm_tamper', value);
+        }
+        break;
+      case DP.batteryState:
+        this.log(`[Battery] ${value}%`);
+        this._setCapabilitySafe('alarm_battery', value <= LOW_BATTERY);
+        break;
+    }
+  }
+
+  /**
+   * Update alarm_smoke. Fires flow triggers and notification on transitions.
+   *
+   * @param {boolean} smokeDetected
+   */
+  _applySmokeAlarm(smokeDetected) {
+    const previousSmoke = this.getCapabilityValue('alarm_smoke');
+
+    this._setCapabilitySafe('alarm_smoke', smokeDetected);
+
+    // Only act on transitions to avoid duplicate triggers. A freshly paired
+    // detector has no value yet: a first "clear" is its initial state, a
+    // first alarm still triggers.
+    if (smokeDetected === previousSmoke) return;
+    if (previousSmoke === null && !smokeDetected) return;
+
+    if (smokeDetected) {
+      this.log('[Smoke] Alarm ON — triggering flow + notification');
+
+      this._triggerSmokeOn.trigger(this).catch(err =>
+        this.error('[Flow] smoke_alarm_on trigger failed:', err.message)
+      );
+
+      // Notify all users
+      this.homey.notifications.createNotification({
+        excerpt: `${this.getName()}: Smoke detected!`,
+      }).catch(err => this.error('[Notification] Failed:', err.message));
+
+    } else {
+      this.log('[Smoke] Alarm OFF — triggering flow');
+
+      this._triggerSmokeOff.trigger(this).catch(err =>
+        this.error('[Flow] smoke_alarm_off trigger failed:', err.message)
+      );
+    }
+  }
+
+  /**
+   * @param {string} capability
+   * @param {*} value
+   */
+  _setCapabilitySafe(capability, value) {
+    if (!this.hasCapability(capability)) return;
+    this.setCapabilityValue(capability, value).catch(err =>
+      this.error(`[Cap] ${capability} failed:`, err.message)
+    );
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Availability monitoring
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Install AvailabilityManagerCluster6 with 24h timeout (battery device).
+   * The detector only checks in with heartbeats and battery reports.
+   */
+  async _initAvailability() {
+    this._availability = new AvailabilityManagerCluster6(this, {
+      timeout: 24 * 60 * 60 * 1000,
+    });
+    await this._availability.install();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Settings
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * @param {Object} params
+   * @param {Object} params.oldSettings
+   * @param {Object} params.newSettings
+   * @param {string[]} params.changedKeys
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    if (changedKeys.includes('alarm_tamper_enabled') && !newSettings.alarm_tamper_enabled) {
+      this._setCapabilitySafe('alarm_tamper', false);
+    }
+
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ─────────────────────────────────────────────────────────────────────────
+
+  onDeleted() {
+    super.onDeleted();
+    this._availability?.uninstall().catch(() => {});
+    this.log(`${DRIVER_NAME} - removed`);
+  }
+
+}
+
+module.exports = TuyaSmokeDetector;
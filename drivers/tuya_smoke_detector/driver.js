@@ -0,0 +1,22 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+/**
+ * TuyaSmokeDetectorDriver
+ * Tuya Smoke Detector (TS0601, V1_SMOKE_DATA_POINTS).
+ * Single device, no sub-devices. All logic in device.js.
+ */
+class TuyaSmokeDetectorDriver extends ZigBeeDriver {
+
+  onInit() {
+    this.homey.flow.getConditionCard('is_smoke_detected')
+      .registerRunListener(async (args) => args.device.getCapabilityValue('alarm_smoke') === true);
+
+    this.log('Tuya Smoke Detector Driver - Ready');
+  }
+
+  onUninit() { this.log('Tuya Smoke Detector Driver - Stopped'); }
+}
+
+module.exports = TuyaSmokeDetectorDriver;
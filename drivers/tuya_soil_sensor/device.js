@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * @file device.js
+ * @description Tuya Soil Moisture Sensor (TS0601)
+ * @version 1.0.0 - Initial release
+ *
+ * Protocol: Tuya EF00 (cluster 0xEF00), battery powered
+ * DP table: V1_SOIL_SENSOR_DATA_POINTS (lib/TuyaDataPoints.js)
+ *
+ * DataPoints:
+ *   DP3:  measure_humidity  (value, % soil moisture)
+ *   DP5:  temperature       (value, in the unit of DP9)
+ *   DP9:  temperature unit  (enum: 0=Celsius, 1=Fahrenheit)
+ *   DP14: battery state     (enum: 0=low, 1=warning, 2=good) → alarm_battery
+ *   DP15: measure_battery   (value, %)
+ *
+ * measure_temperature is always °C: DP5 is converted when DP9 says
+ * Fahrenheit. The unit may arrive after the temperature, so the last raw
+ * reading is kept and re-applied when the unit changes.
+ *
+ * Dry alert: soil_became_dry fires once when moisture drops below the
+ * dry_threshold setting and re-arms only after moisture rises
+ * DRY_HYSTERESIS above it, so readings around the threshold do not flap.
+ */
+
+// Must be required before ZigBeeDevice initializes the node so that
+// Cluster.addCluster(TuyaSpecificCluster) runs in time for endpoint binding.
+require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { AvailabilityManagerCluster6 } = require('../../lib/AvailabilityManager');
+const { V1_SOIL_SENSOR_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+
+const DRIVER_VERSION = '1.0.0';
+const DRIVER_NAME    = 'Tuya Soil Sensor';
+
+/** @type {Object.<number, string>} DP9 enum → unit */
+const TEMP_UNIT = Object.freeze({ 0: 'celsius', 1: 'fahrenheit' });
+
+/** @type {Object.<number, boolean>} DP14 battery state → alarm_battery */
+const BATTERY_LOW = Object.freeze({ 0: true, 1: true, 2: false });
+
+const DRY_HYSTERESIS = 5; // % above dry_threshold before the alert re-arms
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device class
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TuyaSoilSensor extends TuyaSpecificClusterDevice {
+
+  async onNodeInit({ zclNode }) {
+    await super.onNodeInit({ zclNode });
+
+    this.log(`${DRIVER_NAME} v${DRIVER_VERSION}`);
+
+    this._availability   = null;
+    this._rawTemperature = null;
+
+    this._setupTuyaListeners(zclNode);
+    await this._initAvailability();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Listeners
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint listeners plus heartbeat handler.
+   *
+   * @param {Object} zclNode
+   */
+  _setupTuyaListeners(zclNode) {
+    const tuya = zclNode.endpoints[this.tuyaEndpoint]?.clusters?.tuya;
+    if (!tuya) {
+      this.error('[Listeners] tuya cluster not available — skipping setup');
+      return;
+    }
+
+    this.installDatapointListeners(zclNode);
+
+    tuya.on('heartbeat', () => this._markAliveFromAvailability?.('heartbeat'));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // DP processing
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint map. Temperature has no capability binding: it is converted
+   * in onDatapointReport once the unit is known.
+   *
+   * @returns {Object<number, Object>}
+   */
+  get datapoints() {
+    return {
+      [DP.humidity]:          { capability: 'measure_humidity', type: 'value', direction: 'in' },
+      [DP.temperature]:       { type: 'value', direction: 'in' },
+      [DP.temperatureUnit]:   { type: 'enum', enum: TEMP_UNIT, direction: 'in' },
+      [DP.batteryState]:      { capability: 'alarm_battery', type: 'enum', enum: BATTERY_LOW, direction: 'in' },
+      [DP.batteryPercentage]: { capability: 'measure_battery', type: 'value', direction: 'in' },
+    };
+  }
+
+  /**
+   * @param {number} dp
+   * @param {*} value - Decoded value
+   */
+  async onDatapointReport(dp, value) {
+    switch (dp) {
+      case DP.humidity:
+        this.log(`[Moisture] ${value}%`);
+        await this._checkDry(value);
+        break;
+      case DP.temperature:
+        this._rawTemperature = value;
+        await this._applyTemperature();
+        break;
+      case DP.temperatureUnit:
+        this.log(`[Unit] ${value}`);
+        await this.setStoreValue('temperature_unit', value).catch(this.error);
+        await this._applyTemperature();
+        break;
+      case DP.batteryPercentage:
+        this.log(`[Battery] ${value}%`);
+        break;
+    }
+  }
+
+  /**
+   * Set measure_temperature in °C from the last raw reading.
+   */
+  async _applyTemperature() {
+    if (this._rawTemperature === null) return;
+
+    const unit = this.getStoreValue('temperature_unit') || 'celsius';
+    const celsius = unit === 'fahrenheit'
+      ? Math.round(((this._rawTemperature - 32) * 5 / 9) * 10) / 10
+      : this._rawTemperature;
+
+    this.log(`[Temp] ${celsius}°C${unit === 'fahrenheit' ? ` (${this._rawTemperature}°F)` : ''}`);
+    await this.setCapabilityValue('measure_temperature', celsius).catch(this.error);
+  }
+
+  /**
+   * Fire soil_became_dry on the transition below dry_threshold; re-arm once
+   * moisture rises DRY_HYSTERESIS above it. State survives restarts.
+   *
+   * @param {number} moisture - %
+   */
+  async _checkDry(moisture) {
+    const threshold = this.getSetting('dry_threshold') ?? 30;
+    const wasDry = this.getStoreValue('soil_dry') === true;
+
+    if (!wasDry && moisture < threshold) {
+      this.log(`[Dry] ${moisture}% < ${threshold}% — triggering flow`);
+      await this.setStoreValue('soil_dry', true).catch(this.error);
+      await this.homey.flow.getDeviceTriggerCard('soil_became_dry')
+        .trigger(this, { moisture })
+        .catch(err => this.error('[Flow] soil_became_dry failed:', err.message));
+    } else if (wasDry && moisture >= threshold + DRY_HYSTERESIS) {
+      this.log(`[Dry] ${moisture}% — re-armed`);
+      await this.setStoreValue('soil_dry', false).catch(this.error);
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Availability monitoring
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Install AvailabilityManagerCluster6 with 8h timeout (battery device).
+   * Tuya listeners call _markAliveFromAvailability() injected by the manager.
+   */
+  async _initAvailability() {
+    this._availability = new AvailabilityManagerCluster6(this, {
+      timeout: 8 * 60 * 60 * 1000,
+    });
+    await this._availability.install();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Settings
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * @param {Object} params
+   * @param {Object} params.oldSettings
+   * @param {Object} params.newSettings
+   * @param {string[]} params.changedKeys
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    // New threshold: start over so the next report below it triggers
+    if (changedKeys.includes('dry_threshold')) {
+      await this.setStoreValue('soil_dry', false).catch(this.error);
+    }
+
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ─────────────────────────────────────────────────────────────────────────
+
+  onDeleted() {
+    super.onDeleted();
+    this._availability?.uninstall().catch(() => {});
+    this.log(`${DRIVER_NAME} - removed`);
+  }
+
+}
+
+module.exports = TuyaSoilSensor;
@@ -0,0 +1,21 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+const DRIVER_NAME = 'Tuya Soil Sensor';
+const DRIVER_VERSION = '1.0.0';
+
+/**
+ * TuyaSoilSensorDriver
+ *
+ * Driver for TS0601 soil moisture sensors (V1_SOIL_SENSOR_DATA_POINTS).
+ * All DP logic lives in device.js.
+ */
+class TuyaSoilSensorDriver extends ZigBeeDriver {
+
+  async onInit() {
+    this.log(`${DRIVER_NAME} Driver v${DRIVER_VERSION} - Ready`);
+  }
+}
+
+module.exports = TuyaSoilSensorDriver;
@@ -0,0 +1,323 @@
+'use strict';
+
+/**
+ * @file device.js
+ * @description Tuya Wall / Floor-Heating Thermostat (TS0601)
+ * @version 1.1.0 - Weekly schedule (flow action + weekly_schedule setting)
+ *
+ * Protocol: Tuya EF00 (cluster 0xEF00), mains powered
+ * DP table: V1_THERMOSTAT_DATA_POINTS (lib/TuyaDataPoints.js)
+ *
+ * Capabilities:
+ *   DP1   onoff                (bool)
+ *   DP2   tuya_thermostat_mode (enum: 0=manual, 1=auto/schedule, 2=holiday)
+ *   DP16  target_temperature   (value, 0.1°C → value/10)
+ *   DP24  measure_temperature  (value, 0.1°C → value/10, report only)
+ *
+ * Settings (written through the datapoint map, synced back on report):
+ *   DP8   open_window_detection   DP102 open_window_temperature
+ *   DP10  frost_protection        DP104 comfort_temperature
+ *   DP21  holiday_temperature     DP105 eco_temperature
+ *   DP27  temperature_calibration (signed, 0.1°C)
+ *   DP31  working_day             DP40  child_lock
+ *
+ * Weekly schedule: DP108-114 (one raw DP per day, TuyaSchedule V1 format).
+ * Reports are collected into the weekly_schedule setting as JSON; editing the
+ * setting or the "set weekly schedule" flow action writes the given days.
+ *
+ * Time sync: the thermostat sends a timeRequest after power-up and runs its
+ * schedule on the local clock, so it is answered with sendTimeResponse() and
+ * re-synced daily.
+ */
+
+// Must be required before ZigBeeDevice initializes the node so that
+// Cluster.addCluster(TuyaSpecificCluster) runs in time for endpoint binding.
+require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { AvailabilityManagerPing } = require('../../lib/AvailabilityManager');
+const { V1_THERMOSTAT_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+const {
+  WEEKDAYS, V1_DAY_DATAPOINTS, parseWeeklySchedule, parseSchedule, marshalSchedule,
+} = require('../../lib/TuyaSchedule');
+
+const DRIVER_VERSION = '1.1.0';
+const DRIVER_NAME    = 'Tuya Wall Thermostat';
+
+/** @type {Object.<number, string>} DP2 enum → tuya_thermostat_mode */
+const MODE = Object.freeze({ 0: 'manual', 1: 'auto', 2: 'holiday' });
+
+/** @type {Object.<number, string>} DP31 enum → working_day dropdown id */
+const WORKING_DAY = Object.freeze({ 0: '0', 1: '1', 2: '2' });
+
+/** Temperatures travel as °C × 10 */
+const TEMP_SCALE = 1;
+
+/** @type {Object.<number, string>} schedule DP → day */
+const SCHEDULE_DAYS = Object.freeze(Object.fromEntries(
+  Object.entries(V1_DAY_DATAPOINTS).map(([day, key]) => [DP[key], day])
+));
+
+const TIME_SYNC_INTERVAL = 24 * 60 * 60 * 1000; // daily, clock drift is small
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device class
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TuyaThermostat extends TuyaSpecificClusterDevice {
+
+  async onNodeInit({ zclNode }) {
+    await super.onNodeInit({ zclNode });
+
+    this.log(`${DRIVER_NAME} v${DRIVER_VERSION}`);
+
+    this._timeSyncTimer = null;
+
+    this._setupTuyaListeners(zclNode);
+    this.registerDatapointCapabilities();
+
+    this._availability = new AvailabilityManagerPing(this, {
+      timeout: 25 * 60 * 1000,
+      ping: 'dataQuery',
+      commandExpiry: 30 * 60 * 1000,  // keep setpoint changes made while offline
+    });
+    await this._availability.install();
+
+    this._startTimeSyncTimer();
+
+    // Initial query + time sync after 2s
+    this.homey.setTimeout(() => this._initialSetup(), 2000);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Setup
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Query all DPs so capabilities and settings reflect the device, then sync time.
+   */
+  async _initialSetup() {
+    try {
+      await this.zclNode.endpoints[this.tuyaEndpoint].clusters.tuya.dataQuery({ transid: this.transactionID });
+      this.log('[Query] Datapoints requested');
+      await this.sendTimeResponse();
+    } catch (err) {
+      this.error('[Init] Setup failed:', err.message);
+    }
+  }
+
+  /**
+   * Datapoint listeners plus heartbeat / timeRequest handlers.
+   *
+   * @param {Object} zclNode
+   */
+  _setupTuyaListeners(zclNode) {
+    const tuya = zclNode.endpoints[this.tuyaEndpoint]?.clusters?.tuya;
+    if (!tuya) {
+      this.error('[Listeners] tuya cluster not available — skipping setup');
+      return;
+    }
+
+    this.installDatapointListeners(zclNode);
+
+    tuya.on('heartbeat', () => this._markAliveFromAvailability?.('heartbeat'));
+
+    tuya.on('timeRequest', async (request) => {
+      await this.sendTimeResponse(request).catch(err =>
+        this.error('[Time] Sync failed:', err.message));
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Datapoints
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint map. Day schedules are report-only here; they are decoded in
+   * onDatapointReport and written by _writeWeeklySchedule.
+   *
+   * @returns {Object<number, Object>}
+   */
+  get datapoints() {
+    const temperature = { type: 'value', scale: TEMP_SCALE };
+    const schedules = Object.fromEntries(
+      Object.keys(SCHEDULE_DAYS).map(dp => [dp, { type: 'raw', direction: 'in' }])
+    );
+
+    return {
+      ...schedules,
+      [DP.onOff]:                       { capability: 'onoff', type: 'bool' },
+      [DP.mode]:                        { capability: 'tuya_thermostat_mode', type: 'enum', enum: MODE },
+      [DP.targetTemperature]:           { capability: 'target_temperature', ...temperature, confirm: true },
+      [DP.currentTemperature]:          { capability: 'measure_temperature', ...temperature, direction: 'in' },
+      [DP.localTemperatureCalibration]: { setting: 'temperature_calibration', ...temperature },
+      [DP.comfortTemperature]:          { setting: 'comfort_temperature', ...temperature },
+      [DP.ecoTemperature]:              { setting: 'eco_temperature', ...temperature },
+      [DP.holidayTemperature]:          { setting: 'holiday_temperature', ...temperature },
+      [DP.openWindowTemperature]:       { setting: 'open_window_temperature', ...temperature },
+      [DP.openWindow]:                  { setting: 'open_window_detection', type: 'bool' },
+      [DP.frostProtection]:             { setting: 'frost_protection', type: 'bool' },
+      [DP.childLock]:                   { setting: 'child_lock', type: 'bool' },
+      [DP.workingDay]:                  { setting: 'working_day', type: 'enum', enum: WORKING_DAY },
+    };
+  }
+
+  /**
+   * @param {number} dp
+   * @param {*} value - Decoded value
+   */
+  async onDatapointReport(dp, value) {
+    if (SCHEDULE_DAYS[dp]) {
+      await this._onDayScheduleReport(SCHEDULE_DAYS[dp], value);
+      return;
+    }
+
+    switch (dp) {
+      case DP.currentTemperature: this.log(`[Temp] ${value.toFixed(1)}°C`); break;
+      case DP.targetTemperature:  this.log(`[Target] ${value}°C`); break;
+      case DP.mode:               this.log(`[Mode] ${value}`); break;
+    }
+  }
+
+  /**
+   * Flow action: set thermostat mode.
+   *
+   * @param {'manual'|'auto'|'holiday'} mode
+   */
+  async setMode(mode) {
+    await this.writeDatapoint(DP.mode, mode);
+    await this.setCapabilityValue('tuya_thermostat_mode', mode).catch(this.error);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Weekly schedule
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Merge a reported day into the weekly_schedule setting.
+   *
+   * @param {string} day
+   * @param {Buffer} data
+   */
+  async _onDayScheduleReport(day, data) {
+    let entries;
+    try {
+      entries = parseSchedule(data);
+    } catch (err) {
+      this.error(`[Schedule] ${day} decode failed:`, err.message);
+      return;
+    }
+
+    const schedule = { ...this._getStoredSchedule(), [day]: entries };
+    await this._storeSchedule(schedule);
+    this.log(`[Schedule] ${day}: ${entries.map(e => `${e.time}/${e.temperature}`).join(' ')}`);
+  }
+
+  /**
+   * Flow action: write a weekly schedule (human JSON, see TuyaSchedule).
+   *
+   * @param {Object|string} input
+   */
+  async setWeeklySchedule(input) {
+    const days = parseWeeklySchedule(input);
+    await this._writeWeeklySchedule(days);
+    await this._storeSchedule({ ...this._getStoredSchedule(), ...days });
+  }
+
+  /**
+   * Write each given day to its DP. Validation (10-minute slots) happens
+   * before anything is sent.
+   *
+   * @param {Object<string, Array>} days - Output of parseWeeklySchedule()
+   */
+  async _writeWeeklySchedule(days) {
+    const frames = Object.entries(days).map(([day, entries]) => [DP[V1_DAY_DATAPOINTS[day]], marshalSchedule(entries)]);
+
+    for (const [dp, data] of frames) {
+      await this.writeDatapoint(dp, data);
+    }
+    this.log(`[Schedule] Written: ${Object.keys(days).join(', ')}`);
+  }
+
+  /** @returns {Object} Last known weekly schedule */
+  _getStoredSchedule() {
+    return this.getStoreValue('weekly_schedule') || {};
+  }
+
+  /**
+   * Persist the schedule and mirror it into the weekly_schedule setting.
+   *
+   * @param {Object} schedule
+   */
+  async _storeSchedule(schedule) {
+    const ordered = Object.fromEntries(WEEKDAYS.filter(day => schedule[day]).map(day => [day, schedule[day]]));
+    await this.setStoreValue('weekly_schedule', ordered).catch(this.error);
+    await this.setSettings({ weekly_schedule: JSON.stringify(ordered) }).catch(err =>
+      this.error('[Schedule] setting sync failed:', err.message));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Time sync
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Daily proactive time sync — the schedule runs on the device clock.
+   */
+  _startTimeSyncTimer() {
+    this._timeSyncTimer = this.homey.setInterval(async () => {
+      await this.sendTimeResponse().catch(err =>
+        this.error('[Time] Proactive sync failed:', err.message));
+    }, TIME_SYNC_INTERVAL);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Settings
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Presets, calibration and protection are written through the datapoint map;
+   * weekly_schedule is parsed and written per day.
+   *
+   * @param {Object} params
+   * @param {Object} params.oldSettings
+   * @param {Object} params.newSettings
+   * @param {string[]} params.changedKeys
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    // Parsed first: invalid JSON / times throw before any other setting is
+    // written, so Homey rejects the whole change
+    const schedule = changedKeys.includes('weekly_schedule') && newSettings.weekly_schedule.trim()
+      ? parseWeeklySchedule(newSettings.weekly_schedule)
+      : null;
+
+    await super.onSettings({ oldSettings, newSettings, changedKeys });
+
+    if (schedule) {
+      await this._writeWeeklySchedule(schedule);
+    }
+
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ─────────────────────────────────────────────────────────────────────────
+
+  onDeleted() {
+    super.onDeleted();
+    this._availability?.uninstall().catch(() => {});
+    this.homey.clearInterval(this._timeSyncTimer);
+    this._timeSyncTimer = null;
+    this.log(`${DRIVER_NAME} - removed`);
+  }
+
+}
+
+module.exports = TuyaThermostat;
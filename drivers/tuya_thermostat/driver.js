@@ -0,0 +1,27 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+const DRIVER_NAME = 'Tuya Wall Thermostat';
+const DRIVER_VERSION = '1.1.0';
+
+/**
+ * TuyaThermostatDriver
+ *
+ * Driver for TS0601 wall / floor-heating thermostats (V1_THERMOSTAT_DATA_POINTS).
+ * Registers the device flow cards; all DP logic lives in device.js.
+ */
+class TuyaThermostatDriver extends ZigBeeDriver {
+
+  async onInit() {
+    this.homey.flow.getActionCard('set_thermostat_mode')
+      .registerRunListener(async (args) => args.device.setMode(args.mode));
+
+    this.homey.flow.getActionCard('set_weekly_schedule')
+      .registerRunListener(async (args) => args.device.setWeeklySchedule(args.schedule));
+
+    this.log(`${DRIVER_NAME} Driver v${DRIVER_VERSION} - Ready`);
+  }
+}
+
+module.exports = TuyaThermostatDriver;
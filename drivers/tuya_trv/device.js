@@ -0,0 +1,362 @@
+'use strict';
+
+/**
+ * @file device.js
+ * @description Tuya Thermostatic Radiator Valve (TS0601)
+ * @version 1.0.0 - Initial release
+ *
+ * Protocol: Tuya EF00 (cluster 0xEF00), battery powered
+ * DP table: V2_THERMOSTATIC_RADIATOR_VALVE_DATA_POINTS (lib/TuyaDataPoints.js)
+ *
+ * Capabilities:
+ *   DP3   target_temperature  (value, 0.1°C → value/10)
+ *   DP4   measure_temperature (value, 0.1°C → value/10, report only)
+ *   DP13  measure_battery     (value, %, report only) + alarm_battery below 20%
+ *   DP15  tuya_valve_position (value, %, report only)
+ *   DP16  alarm_heating       (enum runningState: 0=idle, 1=heating, report only)
+ *   DP107 tuya_trv_preset     (enum: schedule/manual/boost/comfort/eco/away)
+ *
+ * Settings (written through the datapoint map, synced back on report):
+ *   DP7   open_window_detection   DP106 open_window_temperature
+ *   DP10  frost_protection        DP108 boost_time (minutes)
+ *   DP14  child_lock              DP109 auto_lock
+ *   DP102 comfort_temperature     DP110 max_temperature
+ *   DP103 eco_temperature         DP111 min_temperature
+ *   DP105 holiday_temperature
+ *
+ * Schedule: DP112 (workdays) / DP113 (holidays) as TuyaSchedule V2 strings.
+ * They are shown in the weekly_schedule setting as { weekdays, weekend }.
+ *
+ * The valve sleeps between reports, so availability uses the Cluster6
+ * strategy fed by datapoint reports and heartbeats, with an 8h timeout.
+ */
+
+// Must be required before ZigBeeDevice initializes the node so that
+// Cluster.addCluster(TuyaSpecificCluster) runs in time for endpoint binding.
+require('../../lib/TuyaSpecificCluster');
+const TuyaSpecificClusterDevice = require('../../lib/TuyaSpecificClusterDevice');
+const { AvailabilityManagerCluster6 } = require('../../lib/AvailabilityManager');
+const { V2_THERMOSTATIC_RADIATOR_VALVE_DATA_POINTS: DP } = require('../../lib/TuyaDataPoints');
+const {
+  DAY_GROUPS, parseWeeklySchedule, parseScheduleString, marshalScheduleString,
+} = require('../../lib/TuyaSchedule');
+
+const DRIVER_VERSION = '1.0.0';
+const DRIVER_NAME    = 'Tuya Radiator Valve';
+
+/** @type {Object.<number, string>} DP107 enum → tuya_trv_preset */
+const PRESET = Object.freeze({ 0: 'schedule', 1: 'manual', 2: 'boost', 3: 'comfort', 4: 'eco', 5: 'away' });
+
+/** @type {Object.<number, boolean>} DP16 runningState → alarm_heating */
+const RUNNING_STATE = Object.freeze({ 0: false, 1: true });
+
+/** Temperatures travel as °C × 10 */
+const TEMP_SCALE = 1;
+
+const LOW_BATTERY = 20; // %
+
+/** @type {Object.<number, string>} schedule DP → weekly_schedule group */
+const SCHEDULE_GROUPS = Object.freeze({
+  [DP.workdaysSchedule]: 'weekdays',
+  [DP.holidaysSchedule]: 'weekend',
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device class
+// ─────────────────────────────────────────────────────────────────────────────
+
+class TuyaRadiatorValve extends TuyaSpecificClusterDevice {
+
+  async onNodeInit({ zclNode }) {
+    await super.onNodeInit({ zclNode });
+
+    this.log(`${DRIVER_NAME} v${DRIVER_VERSION}`);
+
+    this._setupTuyaListeners(zclNode);
+    this.registerDatapointCapabilities();
+
+    await this._initAvailability();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Setup
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint listeners plus heartbeat / timeRequest handlers.
+   *
+   * @param {Object} zclNode
+   */
+  _setupTuyaListeners(zclNode) {
+    const tuya = zclNode.endpoints[this.tuyaEndpoint]?.clusters?.tuya;
+    if (!tuya) {
+      this.error('[Listeners] tuya cluster not available — skipping setup');
+      return;
+    }
+
+    this.installDatapointListeners(zclNode);
+
+    tuya.on('heartbeat', () => this._markAliveFromAvailability?.('heartbeat'));
+
+    // The schedule runs on the valve clock
+    tuya.on('timeRequest', async (request) => {
+      await this.sendTimeResponse(request).catch(err =>
+        this.error('[Time] Sync failed:', err.message));
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Datapoints
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Datapoint map. Schedules are report-only here; they are decoded in
+   * onDatapointReport and written by _writeWeeklySchedule.
+   *
+   * @returns {Object<number, Object>}
+   */
+  get datapoints() {
+    const temperature = { type: 'value', scale: TEMP_SCALE };
+
+    return {
+      [DP.workdaysSchedule]:      { type: 'string', direction: 'in' },
+      [DP.holidaysSchedule]:      { type: 'string', direction: 'in' },
+      // Not confirmed: the sleeping valve answers on its next wake-up, long after confirmTimeout
+      [DP.targetTemperature]:     { capability: 'target_temperature', ...temperature },
+      [DP.currentTemperature]:    { capability: 'measure_temperature', ...temperature, direction: 'in' },
+      [DP.batteryLevel]:          { capability: 'measure_battery', type: 'value', direction: 'in' },
+      [DP.valvePosition]:         { capability: 'tuya_valve_position', type: 'value', direction: 'in' },
+      [DP.runningState]:          { capability: 'alarm_heating', type: 'enum', enum: RUNNING_STATE, direction: 'in' },
+      [DP.presetMode]:            { capability: 'tuya_trv_preset', type: 'enum', enum: PRESET },
+      [DP.comfortTemperature]:    { setting: 'comfort_temperature', ...temperature },
+      [DP.ecoTemperature]:        { setting: 'eco_temperature', ...temperature },
+      [DP.holidayTemperature]:    { setting: 'holiday_temperature', ...temperature },
+      [DP.openWindowTemperature]: { setting: 'open_window_temperature', ...temperature },
+      [DP.minTemperature]:        { setting: 'min_temperature', ...temperature },
+      [DP.maxTemperature]:        { setting: 'max_temperature', ...temperature },
+      [DP.boostTime]:             { setting: 'boost_time', type: 'value' },
+      [DP.openWindow]:            { setting: 'open_window_detection', type: 'bool' },
+      [DP.frostProtection]:       { setting: 'frost_protection', type: 'bool' },
+      [DP.childLock]:             { setting: 'child_lock', type: 'bool' },
+      [DP.autoLock]:              { setting: 'auto_lock', type: 'bool' },
+    };
+  }
+
+  /**
+   * Side effects after the map was applied.
+   *
+   * @param {number} dp
+   * @param {*} value - Decoded value
+   */
+  async onDatapointReport(dp, value) {
+    if (SCHEDULE_GROUPS[dp]) {
+      await this._onScheduleReport(SCHEDULE_GROUPS[dp], value);
+      return;
+    }
+
+    switch (dp) {
+      case DP.currentTemperature: this.log(`[Temp] ${value.toFixed(1)}°C`); break;
+      case DP.targetTemperature:  this.log(`[Target] ${value}°C`); break;
+      case DP.valvePosition:      this.log(`[Valve] ${value}%`); break;
+      case DP.presetMode:         this.log(`[Preset] ${value}`); break;
+      case DP.runningState:
+        this.log(`[Heating] ${value ? 'on' : 'off'}`);
+        await this._onHeatingChanged(value);
+        break;
+      case DP.batteryLevel:
+        this.log(`[Battery] ${value}%`);
+        this.setCapabilityValue('alarm_battery', value < LOW_BATTERY).catch(this.error);
+        break;
+    }
+  }
+
+  /**
+   * Fire the heating trigger on a state change (reports repeat the same value).
+   *
+   * @param {boolean} heating
+   */
+  async _onHeatingChanged(heating) {
+    if (this._lastHeating === heating) return;
+    const first = this._lastHeating === undefined;
+    this._lastHeating = heating;
+    if (first) return;
+
+    await this.homey.flow.getDeviceTriggerCard('trv_heating_changed')
+      .trigger(this, { heating })
+      .catch(err => this.error('[Flow] trv_heating_changed failed:', err.message));
+  }
+
+  /**
+   * Flow action: select a preset.
+   *
+   * @param {'schedule'|'manual'|'boost'|'comfort'|'eco'|'away'} preset
+   */
+  async setPreset(preset) {
+    await this.writeDatapoint(DP.presetMode, preset);
+    await this.setCapabilityValue('tuya_trv_preset', preset).catch(this.error);
+  }
+
+  /**
+   * Flow action: set how long the Boost preset runs.
+   *
+   * @param {number} minutes
+   */
+  async setBoostTime(minutes) {
+    await this.writeDatapoint(DP.boostTime, minutes);
+    await this.setSettings({ boost_time: minutes }).catch(this.error);
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Weekly schedule
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Mirror a reported workdays / holidays schedule into weekly_schedule.
+   *
+   * @param {'weekdays'|'weekend'} group
+   * @param {string} text
+   */
+  async _onScheduleReport(group, text) {
+    let entries;
+    try {
+      entries = parseScheduleString(text);
+    } catch (err) {
+      this.error(`[Schedule] ${group} decode failed:`, err.message);
+      return;
+    }
+
+    const schedule = { ...this._getStoredSchedule(), [group]: entries };
+    await this._storeSchedule(schedule);
+    this.log(`[Schedule] ${group}: ${text}`);
+  }
+
+  /**
+   * Flow action: write a weekly schedule (human JSON, see TuyaSchedule).
+   *
+   * @param {Object|string} input
+   */
+  async setWeeklySchedule(input) {
+    const groups = this._toScheduleGroups(parseWeeklySchedule(input));
+    await this._writeWeeklySchedule(groups);
+    await this._storeSchedule({ ...this._getStoredSchedule(), ...groups });
+  }
+
+  /**
+   * The valve only knows one workdays and one holidays program. Collapse the
+   * parsed days onto those, rejecting days that differ within a group.
+   *
+   * @param {Object<string, Array>} days - Output of parseWeeklySchedule()
+   * @returns {{weekdays?: Array, weekend?: Array}}
+   */
+  _toScheduleGroups(days) {
+    const groups = {};
+
+    for (const group of ['weekdays', 'weekend']) {
+      const given = DAY_GROUPS[group].filter(day => days[day]);
+      if (given.length === 0) continue;
+
+      const first = JSON.stringify(days[given[0]]);
+      if (given.length !== DAY_GROUPS[group].length || given.some(day => JSON.stringify(days[day]) !== first)) {
+        throw new Error(`[Schedule] this valve needs one program for all ${group} (${DAY_GROUPS[group].join(', ')})`);
+      }
+      groups[group] = days[given[0]];
+    }
+
+    return groups;
+  }
+
+  /**
+   * @param {{weekdays?: Array, weekend?: Array}} groups
+   */
+  async _writeWeeklySchedule(groups) {
+    if (groups.weekdays) await this.writeDatapoint(DP.workdaysSchedule, marshalScheduleString(groups.weekdays));
+    if (groups.weekend) await this.writeDatapoint(DP.holidaysSchedule, marshalScheduleString(groups.weekend));
+    this.log(`[Schedule] Written: ${Object.keys(groups).join(', ')}`);
+  }
+
+  /** @returns {Object} Last known { weekdays, weekend } schedule */
+  _getStoredSchedule() {
+    return this.getStoreValue('weekly_schedule') || {};
+  }
+
+  /**
+   * Persist the schedule and mirror it into the weekly_schedule setting.
+   *
+   * @param {Object} schedule
+   */
+  async _storeSchedule(schedule) {
+    await this.setStoreValue('weekly_schedule', schedule).catch(this.error);
+    await this.setSettings({ weekly_schedule: JSON.stringify(schedule) }).catch(err =>
+      this.error('[Schedule] setting sync failed:', err.message));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Availability monitoring
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Install AvailabilityManagerCluster6 with 8h timeout (battery device).
+   * Datapoint listeners call _markAliveFromAvailability() injected by the manager.
+   */
+  async _initAvailability() {
+    this._availability = new AvailabilityManagerCluster6(this, {
+      timeout: 8 * 60 * 60 * 1000,
+      commandExpiry: 60 * 60 * 1000,  // the valve wakes up rarely
+    });
+    await this._availability.install();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Settings
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Presets, limits and protection are written through the datapoint map;
+   * weekly_schedule is parsed and written per group.
+   *
+   * @param {Object} params
+   * @param {Object} params.oldSettings
+   * @param {Object} params.newSettings
+   * @param {string[]} params.changedKeys
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    if (newSettings.min_temperature >= newSettings.max_temperature) {
+      throw new Error('Minimum setpoint must be below the maximum setpoint');
+    }
+
+    // Parsed first: invalid JSON / mixed day programs throw before any other
+    // setting is written, so Homey rejects the whole change
+    const groups = changedKeys.includes('weekly_schedule') && newSettings.weekly_schedule.trim()
+      ? this._toScheduleGroups(parseWeeklySchedule(newSettings.weekly_schedule))
+      : null;
+
+    await super.onSettings({ oldSettings, newSettings, changedKeys });
+
+    if (groups) {
+      await this._writeWeeklySchedule(groups);
+    }
+
+    if (changedKeys.includes('health_monitoring_enabled')) {
+      if (newSettings.health_monitoring_enabled) {
+        this.log('Health monitoring enabled');
+        await this._availability.install();
+      } else {
+        this.log('Health monitoring disabled');
+        await this._availability.uninstall();
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Lifecycle
+  // ─────────────────────────────────────────────────────────────────────────
+
+  onDeleted() {
+    super.onDeleted();
+    this._availability?.uninstall().catch(() => {});
+    this.log(`${DRIVER_NAME} - removed`);
+  }
+
+}
+
+module.exports = TuyaRadiatorValve;
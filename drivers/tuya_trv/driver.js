@@ -0,0 +1,30 @@
+'use strict';
+
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+const DRIVER_NAME = 'Tuya Radiator Valve';
+const DRIVER_VERSION = '1.0.0';
+
+/**
+ * TuyaRadiatorValveDriver
+ *
+ * Driver for TS0601 radiator valves (V2_THERMOSTATIC_RADIATOR_VALVE_DATA_POINTS).
+ * Registers the device flow cards; all DP logic lives in device.js.
+ */
+class TuyaRadiatorValveDriver extends ZigBeeDriver {
+
+  async onInit() {
+    this.homey.flow.getActionCard('set_trv_preset')
+      .registerRunListener(async (args) => args.device.setPreset(args.preset));
+
+    this.homey.flow.getActionCard('set_trv_boost_time')
+      .registerRunListener(async (args) => args.device.setBoostTime(args.minutes));
+
+    this.homey.flow.getActionCard('set_trv_weekly_schedule')
+      .registerRunListener(async (args) => args.device.setWeeklySchedule(args.schedule));
+
+    this.log(`${DRIVER_NAME} Driver v${DRIVER_VERSION} - Ready`);
+  }
+}
+
+module.exports = TuyaRadiatorValveDriver;
@@ -11,6 +11,9 @@
  *   calling `this._markAliveFromAvailability(source)` from its own reportParser / event
  *   handlers. Suitable when Cluster0 hook is unavailable (e.g. ZigBeeDevice subclass
  *   that does not expose the raw node).
+ * - {@link AvailabilityManagerPing}: silent mains devices — Cluster0 hook plus an active
+ *   probe (Basic `zclVersion` read or Tuya `dataQuery`) once idle exceeds the timeout,
+ *   before the device is declared unavailable.
  *
  * Multi-gang cascade:
  * {@link AvailabilityManagerBase#_getSiblings} resolves all Homey device instances that
@@ -23,7 +26,33 @@
  *      configurations; used as fallback when ieeeAddress is absent on sub-devices.
  *   3. Self only — single-endpoint devices or any device whose getData() lacks both fields.
  *
- * @version 2.1.0
+ * Offline command buffering (opt-in via `commandExpiry`):
+ * While a device is unavailable, desired-state writes can be handed to
+ * {@link AvailabilityManagerBase#bufferCommand} instead of failing. Only the latest
+ * command per key (DP or attribute) is kept; when activity restores the node,
+ * non-expired commands of every sibling are replayed detached — after the
+ * frame that restored it has been processed, so its (possibly stale) state
+ * cannot overwrite the replayed one.
+ *
+ * Diagnostics capabilities (opt-in via `diagnostics: true`):
+ * Published on the main device and every sibling, added on first use.
+ * Publishing runs in the background, at most once per DIAGNOSTICS_THROTTLE.
+ *   - `last_seen`            — local time of the last inbound activity
+ *   - `availability_changes` — count of available ↔ unavailable transitions
+ *   - `availability_uptime`  — hours since the node last became available
+ *     (0 while unavailable), also refreshed by the watchdog
+ *   - `zigbee_lqi` / `zigbee_rssi` — link quality from handleFrame `meta`
+ *     (Cluster0 / Ping strategies only). `meta` is not documented by the SDK
+ *     (typed as a plain object); the numeric `lqi` / `rssi` fields are read
+ *     when present and the available keys are logged once.
+ *
+ * Flow triggers (app-level, fired per sibling on every transition):
+ *   - `device_became_unavailable` / `device_became_available`
+ *     tokens: device, driver, idle_minutes, reason
+ * {@link getLastSeen} backs the `device_silent_for` condition in app.js.
+ * {@link getAvailabilityManager} finds the manager of a gang's node.
+ *
+ * @version 2.6.0
  *
  * @example Tuya EF00 (4-gang, 6-gang, dimmer)
  * ```js
@@ -54,7 +83,121 @@
  *   }
  * }
  * ```
+ *
+ * @example Silent mains switch (active ping)
+ * ```js
+ * const { AvailabilityManagerPing } = require('../../lib/AvailabilityManager');
+ *
+ * this._availability = new AvailabilityManagerPing(this, {
+ *   timeout: 25 * 60 * 1000,
+ *   ping: 'dataQuery',   // or 'zclVersion' (default) or async (device) => {...}
+ *   pingAttempts: 3,
+ *   pingJitter: 60 * 1000,
+ * });
+ * await this._availability.install();
+ * ```
+ */
+
+/**
+ * Buffered desired-state commands per device instance.
+ * Module-level so a sibling's buffer is reachable from whichever manager
+ * restores availability.
+ * @type {WeakMap<Object, Map<string, {run: Function, expiresAt: number}>>}
+ */
+const COMMAND_BUFFERS = new WeakMap();
+
+/** Capabilities published when `options.diagnostics` is enabled. */
+const DIAGNOSTIC_CAPABILITIES = {
+  LAST_SEEN: 'last_seen',
+  CHANGES: 'availability_changes',
+  UPTIME: 'availability_uptime',
+  LQI: 'zigbee_lqi',
+  RSSI: 'zigbee_rssi',
+};
+
+/** Minimum ms between two diagnostics publishes (last_seen has minute resolution). */
+const DIAGNOSTICS_THROTTLE = 60 * 1000;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sibling helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve all Homey device instances that share a physical Zigbee node.
+ *
+ * Resolution order:
+ *   1. ieeeAddress match — present on main and most sub-devices.
+ *   2. token match — fallback for sub-devices that lack ieeeAddress.
+ *   3. Self only — single-endpoint devices or unrecognised data shapes.
+ *
+ * @param {import('homey-zigbeedriver').ZigBeeDevice} device
+ * @returns {Array<import('homey-zigbeedriver').ZigBeeDevice>}
+ */
+function resolveSiblings(device) {
+  try {
+    const myData = device.getData();
+    const myIeee = myData?.ieeeAddress;
+    const myToken = myData?.token;
+
+    const allDevices = device.driver.getDevices();
+
+    // Strategy 1: ieeeAddress
+    if (myIeee) {
+      const byIeee = allDevices.filter(d => {
+        try { return d.getData().ieeeAddress === myIeee; } catch { return false; }
+      });
+      if (byIeee.length > 0) return byIeee;
+    }
+
+    // Strategy 2: token (sub-device fallback)
+    if (myToken) {
+      const byToken = allDevices.filter(d => {
+        try { return d.getData().token === myToken; } catch { return false; }
+      });
+      if (byToken.length > 0) return byToken;
+    }
+
+    // Strategy 3: self only
+    return [device];
+  } catch (err) {
+    device.error('[Availability] _getSiblings error:', err.message);
+    return [device];
+  }
+}
+
+/**
+ * Last activity timestamp of the node a device belongs to. The watchdog stores
+ * `last_seen_ts` on the device that owns the manager (usually the main gang),
+ * so siblings are searched too.
+ *
+ * @param {import('homey-zigbeedriver').ZigBeeDevice} device
+ * @returns {number|null} ms epoch, or null when the node is not monitored.
  */
+function getLastSeen(device) {
+  let latest = null;
+  for (const sibling of resolveSiblings(device)) {
+    try {
+      const ts = sibling.getStoreValue('last_seen_ts');
+      if (typeof ts === 'number' && (latest === null || ts > latest)) latest = ts;
+    } catch {
+      // device not ready
+    }
+  }
+  return latest;
+}
+
+/**
+ * Manager watching the node a device belongs to: the device's own
+ * `_availability`, else the one a sibling (usually the main gang) installed.
+ * Gangs use it to buffer commands while the node is unavailable.
+ *
+ * @param {import('homey-zigbeedriver').ZigBeeDevice} device
+ * @returns {AvailabilityManagerBase|null}
+ */
+function getAvailabilityManager(device) {
+  if (device._availability) return device._availability;
+  return resolveSiblings(device).find(d => d._availability)?._availability || null;
+}
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Base
@@ -73,6 +216,10 @@ class AvailabilityManagerBase {
    * @param {number} [options.checkInterval=60000] - Watchdog tick interval in ms.
    * @param {string} [options.settingKey='health_monitoring_enabled'] - Device setting key that
    *   enables/disables monitoring. Set to `false` to disable the check entirely.
+   * @param {number} [options.commandExpiry=0] - How long (ms) commands issued while unavailable
+   *   are kept for replay. 0 disables buffering.
+   * @param {boolean} [options.diagnostics=false] - Publish last-seen, availability-change
+   *   counter, uptime and LQI/RSSI capabilities on all siblings.
    */
   constructor(device, options = {}) {
     if (!device) throw new Error('[Availability] device is required');
@@ -82,11 +229,17 @@ class AvailabilityManagerBase {
     this.options = {
       checkInterval: 60 * 1000,
       settingKey: 'health_monitoring_enabled',
+      commandExpiry: 0,
+      diagnostics: false,
       ...options,
     };
 
     this._watchdogInterval = null;
     this._installed = false;
+
+    this._diagnosticsAt = 0;
+    this._diagnosticsRunning = false;
+    this._metaLogged = false;
   }
 
   // ── Helpers ──────────────────────────────────────────────────────────────
@@ -107,20 +260,195 @@ class AvailabilityManagerBase {
 
   /**
    * Record activity: persist timestamp, update Homey UI, restore availability if lost.
+   * Buffered commands are replayed detached once availability is restored;
+   * the handleFrame hook defers that until the frame itself was processed.
    *
    * @param {string} source - Human-readable label for log (e.g. 'cluster 0xef00').
+   * @param {Object} [meta] - Frame meta from handleFrame (may carry `lqi` / `rssi`).
+   * @param {Object} [options]
+   * @param {boolean} [options.deferReplay=false] - Caller runs {@link AvailabilityManagerBase#_replayDetached} itself.
+   * @returns {Promise<boolean>} true when availability was restored.
    */
-  async _markAlive(source) {
+  async _markAlive(source, meta, { deferReplay = false } = {}) {
+    let restored = false;
     try {
-      await this.device.setStoreValue('last_seen_ts', Date.now()).catch(() => {});
+      const now = Date.now();
 
       if (!this.device.getAvailable()) {
+        let lastSeen;
+        try {
+          lastSeen = await this.device.getStoreValue('last_seen_ts');
+        } catch {
+          lastSeen = null;
+        }
+        await this.device.setStoreValue('last_seen_ts', now).catch(() => {});
         this.device.log(`[Availability] Restoring (${source})`);
-        await this._markAllAvailable();
+        await this._markAllAvailable(`Activity (${source})`, lastSeen ? now - lastSeen : 0);
+        restored = true;
+        if (!deferReplay) this._replayDetached();
+      } else {
+        await this.device.setStoreValue('last_seen_ts', now).catch(() => {});
       }
+
+      this._scheduleDiagnostics(now, meta, restored);
     } catch (err) {
       this.device.error('[Availability] _markAlive error:', err.message);
     }
+    return restored;
+  }
+
+  // ── Diagnostics ───────────────────────────────────────────────────────────
+
+  /**
+   * Set a diagnostics capability, adding it on first use. No-op when unchanged.
+   *
+   * @param {Object} device
+   * @param {string} capabilityId
+   * @param {*} value
+   * @private
+   */
+  async _setDiagnostic(device, capabilityId, value) {
+    if (!device.hasCapability(capabilityId)) {
+      await device.addCapability(capabilityId);
+    }
+    if (device.getCapabilityValue(capabilityId) !== value) {
+      await device.setCapabilityValue(capabilityId, value);
+    }
+  }
+
+  /**
+   * Publish diagnostics in the background, at most once per
+   * DIAGNOSTICS_THROTTLE. Never awaited: capability writes on every sibling
+   * must not delay frame processing.
+   *
+   * @param {number} ts - Activity timestamp (ms).
+   * @param {Object} [meta] - handleFrame meta.
+   * @param {boolean} [force=false] - Skip the throttle (availability restored).
+   * @private
+   */
+  _scheduleDiagnostics(ts, meta, force = false) {
+    if (!this.options.diagnostics || this._diagnosticsRunning) return;
+    if (!force && ts - this._diagnosticsAt < DIAGNOSTICS_THROTTLE) return;
+
+    this._diagnosticsAt = ts;
+    this._diagnosticsRunning = true;
+    this._publishDiagnostics(ts, meta)
+      .catch(err => this.device.error('[Availability] Diagnostics failed:', err.message))
+      .finally(() => { this._diagnosticsRunning = false; });
+  }
+
+  /**
+   * Publish last-seen, uptime and link quality on every sibling.
+   *
+   * @param {number} ts - Activity timestamp (ms).
+   * @param {Object} [meta] - handleFrame meta.
+   * @private
+   */
+  async _publishDiagnostics(ts, meta) {
+    const lastSeen = this._formatTimestamp(ts);
+    const { lqi, rssi } = this._readLinkQuality(meta);
+
+    for (const sibling of this._getSiblings()) {
+      try {
+        await this._setDiagnostic(sibling, DIAGNOSTIC_CAPABILITIES.LAST_SEEN, lastSeen);
+        if (lqi !== null) await this._setDiagnostic(sibling, DIAGNOSTIC_CAPABILITIES.LQI, lqi);
+        if (rssi !== null) await this._setDiagnostic(sibling, DIAGNOSTIC_CAPABILITIES.RSSI, rssi);
+      } catch (err) {
+        sibling.error('[Availability] Diagnostics update failed:', err.message);
+      }
+    }
+
+    await this._publishUptime();
+  }
+
+  /**
+   * Link quality from handleFrame meta. The SDK does not document meta, so
+   * only numeric `lqi` / `rssi` are used, and the keys a frame actually
+   * carries are logged once.
+   *
+   * @param {*} meta
+   * @returns {{lqi: ?number, rssi: ?number}}
+   * @private
+   */
+  _readLinkQuality(meta) {
+    if (!meta || typeof meta !== 'object') return { lqi: null, rssi: null };
+
+    if (!this._metaLogged) {
+      this._metaLogged = true;
+      this.device.log(`[Availability] Frame meta keys: ${Object.keys(meta).join(', ') || '(none)'}`);
+    }
+
+    return {
+      lqi: Number.isFinite(meta.lqi) ? meta.lqi : null,
+      rssi: Number.isFinite(meta.rssi) ? meta.rssi : null,
+    };
+  }
+
+  /**
+   * Publish the hours since the node last became available on every
+   * sibling (0 while unavailable).
+   *
+   * @private
+   */
+  async _publishUptime() {
+    if (!this.options.diagnostics) return;
+
+    let since;
+    try {
+      since = await this.device.getStoreValue('available_since_ts');
+    } catch {
+      since = null;
+    }
+    const uptime = this.device.getAvailable() && typeof since === 'number'
+      ? Math.round((Date.now() - since) / 360000) / 10
+      : 0;
+
+    for (const sibling of this._getSiblings()) {
+      await this._setDiagnostic(sibling, DIAGNOSTIC_CAPABILITIES.UPTIME, uptime).catch(err =>
+        sibling.error('[Availability] Uptime update failed:', err.message));
+    }
+  }
+
+  /**
+   * Increment the availability-change counter of one sibling.
+   *
+   * @param {Object} device
+   * @private
+   */
+  async _countAvailabilityChange(device) {
+    if (!this.options.diagnostics) return;
+    try {
+      const count = device.hasCapability(DIAGNOSTIC_CAPABILITIES.CHANGES)
+        ? device.getCapabilityValue(DIAGNOSTIC_CAPABILITIES.CHANGES) || 0
+        : 0;
+      await this._setDiagnostic(device, DIAGNOSTIC_CAPABILITIES.CHANGES, count + 1);
+    } catch (err) {
+      device.error('[Availability] Change counter update failed:', err.message);
+    }
+  }
+
+  /**
+   * Minute-resolution local time, e.g. "19/10 14:03". Minute resolution keeps
+   * capability writes to at most one per minute on chatty devices.
+   *
+   * @param {number} ts
+   * @returns {string}
+   * @private
+   */
+  _formatTimestamp(ts) {
+    let timeZone;
+    try {
+      timeZone = this.device.homey.clock.getTimezone();
+    } catch {
+      timeZone = undefined;
+    }
+    return new Date(ts).toLocaleString('en-GB', {
+      timeZone,
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).replace(',', '');
   }
 
   // ── Watchdog ──────────────────────────────────────────────────────────────
@@ -134,6 +462,11 @@ class AvailabilityManagerBase {
 
     this.device.log('[Availability] Watchdog started');
 
+    // Uptime counts from the first install for a node that is available now
+    if (this.device.getAvailable() && !this.device.getStoreValue('available_since_ts')) {
+      this.device.setStoreValue('available_since_ts', Date.now()).catch(() => {});
+    }
+
     this._watchdogInterval = this.device.homey.setInterval(async () => {
       try {
         if (!this._isEnabled()) return;
@@ -157,16 +490,29 @@ class AvailabilityManagerBase {
           this.device.log(`[Availability] Idle: ${idleMin}min / ${Math.round(this.options.timeout / 60000)}min`);
         }
 
-        if (this.device.getAvailable() && idle > this.options.timeout) {
-          this.device.log(`[Availability] Timeout — no activity for ${idleMin}min`);
-          await this._markAllUnavailable(`No activity for ${idleMin}min`);
-        }
+        await this._onIdle(idle);
+        await this._publishUptime();
       } catch (err) {
         this.device.error('[Availability] Watchdog error:', err.message);
       }
     }, this.options.checkInterval);
   }
 
+  /**
+   * Watchdog decision for the current idle time. Default: mark unavailable
+   * once idle exceeds the timeout.
+   *
+   * @param {number} idle - ms since last activity.
+   * @protected
+   */
+  async _onIdle(idle) {
+    if (this.device.getAvailable() && idle > this.options.timeout) {
+      const idleMin = Math.round(idle / 60000);
+      this.device.log(`[Availability] Timeout — no activity for ${idleMin}min`);
+      await this._markAllUnavailable(`No activity for ${idleMin}min`, idle);
+    }
+  }
+
   /** Stop the watchdog interval. */
   _stopWatchdog() {
     if (this._watchdogInterval) {
@@ -176,16 +522,93 @@ class AvailabilityManagerBase {
     }
   }
 
+  // ── Offline command buffer ────────────────────────────────────────────────
+
+  /**
+   * Keep a desired-state command for replay if `device` is unavailable.
+   * A newer command with the same key replaces the older one.
+   *
+   * @param {Object} device - Device instance issuing the command (main or sibling).
+   * @param {string} key - Latest-value key, e.g. 'dp1' or 'onOff'.
+   * @param {function(): Promise<*>} run - Re-issues the command on restore.
+   * @returns {boolean} true when buffered (caller should not send now).
+   */
+  bufferCommand(device, key, run) {
+    if (!this.options.commandExpiry || device.getAvailable()) return false;
+
+    let buffer = COMMAND_BUFFERS.get(device);
+    if (!buffer) {
+      buffer = new Map();
+      COMMAND_BUFFERS.set(device, buffer);
+    }
+
+    buffer.set(key, { run, expiresAt: Date.now() + this.options.commandExpiry });
+    device.log(`[Availability] Unavailable — buffered ${key} for replay`);
+    return true;
+  }
+
+  /**
+   * Replay buffered commands of one device (latest per key, expired ones dropped).
+   *
+   * @param {Object} device
+   */
+  async _replayBufferedCommands(device) {
+    const buffer = COMMAND_BUFFERS.get(device);
+    if (!buffer || buffer.size === 0) return;
+
+    const entries = [...buffer.entries()];
+    buffer.clear();
+
+    for (const [key, { run, expiresAt }] of entries) {
+      if (Date.now() > expiresAt) {
+        device.log(`[Availability] Dropped expired ${key}`);
+        continue;
+      }
+      try {
+        device.log(`[Availability] Replaying ${key}`);
+        await run();
+      } catch (err) {
+        device.error(`[Availability] Replay ${key} failed:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Replay the buffered commands of every sibling in the background. Never
+   * awaited: replays retry (and may wait for confirmations), and inbound
+   * frames must not be held up by them. Runs on the Homey timer, so nothing
+   * fires for a device that was deleted (or uninstalled) meanwhile.
+   */
+  _replayDetached() {
+    this.device.homey.setTimeout(async () => {
+      if (!this._installed) return;
+      for (const sibling of this._getSiblings()) {
+        await this._replayBufferedCommands(sibling).catch(err =>
+          sibling.error('[Availability] Replay failed:', err.message));
+      }
+    }, 0);
+  }
+
   // ── Sibling cascade ───────────────────────────────────────────────────────
 
   /**
-   * Restore all sibling devices.
+   * Restore all sibling devices. Buffered commands are replayed separately
+   * ({@link AvailabilityManagerBase#_replayDetached}).
+   *
+   * @param {string} [reason] - Flow token, e.g. 'Activity (cluster 0xef00)'.
+   * @param {number} [idle=0] - ms the node was silent.
    */
-  async _markAllAvailable() {
-    for (const sibling of this._getSiblings()) {
+  async _markAllAvailable(reason = 'Activity', idle = 0) {
+    const siblings = this._getSiblings();
+
+    await this.device.setStoreValue('available_since_ts', Date.now()).catch(() => {});
+
+    for (const sibling of siblings) {
       if (!sibling.getAvailable()) {
         sibling.log('[Availability] Available');
         await sibling.setAvailable().catch(() => {});
+        await this._countAvailabilityChange(sibling);
+        this._triggerAvailabilityFlow('device_became_available', sibling, reason, idle);
       }
     }
   }
@@ -194,58 +617,55 @@ class AvailabilityManagerBase {
    * Mark all sibling devices unavailable.
    *
    * @param {string} reason
+   * @param {number} [idle=0] - ms since last activity.
    */
-  async _markAllUnavailable(reason) {
+  async _markAllUnavailable(reason, idle = 0) {
     for (const sibling of this._getSiblings()) {
       if (sibling.getAvailable()) {
         sibling.log(`[Availability] Unavailable: ${reason}`);
         await sibling.setUnavailable(reason).catch(() => {});
+        await this._countAvailabilityChange(sibling);
+        this._triggerAvailabilityFlow('device_became_unavailable', sibling, reason, idle);
       }
     }
+
+    await this.device.unsetStoreValue('available_since_ts').catch(() => {});
   }
 
   /**
-   * Resolve all Homey device instances that share this physical Zigbee node.
+   * Fire an app-level availability trigger for one sibling. Never throws.
    *
-   * Resolution order:
-   *   1. ieeeAddress match — present on main and most sub-devices.
-   *   2. token match — fallback for sub-devices that lack ieeeAddress.
-   *   3. Self only — single-endpoint devices or unrecognised data shapes.
-   *
-   * @returns {Array<import('homey-zigbeedriver').ZigBeeDevice>}
+   * @param {'device_became_available'|'device_became_unavailable'} cardId
+   * @param {Object} device
+   * @param {string} reason
+   * @param {number} idle - ms
+   * @private
    */
-  _getSiblings() {
+  _triggerAvailabilityFlow(cardId, device, reason, idle) {
     try {
-      const myData = this.device.getData();
-      const myIeee = myData?.ieeeAddress;
-      const myToken = myData?.token;
-
-      const allDevices = this.device.driver.getDevices();
-
-      // Strategy 1: ieeeAddress
-      if (myIeee) {
-        const byIeee = allDevices.filter(d => {
-          try { return d.getData().ieeeAddress === myIeee; } catch { return false; }
-        });
-        if (byIeee.length > 0) return byIeee;
-      }
-
-      // Strategy 2: token (sub-device fallback)
-      if (myToken) {
-        const byToken = allDevices.filter(d => {
-          try { return d.getData().token === myToken; } catch { return false; }
-        });
-        if (byToken.length > 0) return byToken;
-      }
-
-      // Strategy 3: self only
-      return [this.device];
+      const tokens = {
+        device: device.getName(),
+        driver: device.driver?.id ?? '',
+        idle_minutes: Math.round(idle / 60000),
+        reason,
+      };
+      device.homey.flow.getTriggerCard(cardId).trigger(tokens)
+        .catch(err => device.error(`[Flow] ${cardId} trigger failed:`, err.message));
     } catch (err) {
-      this.device.error('[Availability] _getSiblings error:', err.message);
-      return [this.device];
+      device.error(`[Flow] ${cardId} trigger failed:`, err.message);
     }
   }
 
+  /**
+   * Resolve all Homey device instances that share this physical Zigbee node.
+   * See {@link resolveSiblings}.
+   *
+   * @returns {Array<import('homey-zigbeedriver').ZigBeeDevice>}
+   */
+  _getSiblings() {
+    return resolveSiblings(this.device);
+  }
+
   // ── Lifecycle ─────────────────────────────────────────────────────────────
 
   /**
@@ -254,6 +674,7 @@ class AvailabilityManagerBase {
   async uninstall() {
     if (!this._installed) return;
     this._stopWatchdog();
+    COMMAND_BUFFERS.delete(this.device);
     await this._cleanup();
     this._installed = false;
     this.device.log('[Availability] Uninstalled');
@@ -323,6 +744,8 @@ class AvailabilityManagerCluster0 extends AvailabilityManagerBase {
   /**
    * Monkey-patch `node.handleFrame` to intercept all inbound frames.
    * The original handler is always called so normal cluster processing is unaffected.
+   * A frame that restores availability is processed before buffered commands
+   * are replayed, so stale state in it cannot overwrite the replayed state.
    *
    * @private
    */
@@ -333,12 +756,17 @@ class AvailabilityManagerCluster0 extends AvailabilityManagerBase {
     const original = node.handleFrame?.bind(node);
 
     node.handleFrame = async (endpointId, clusterId, frame, meta) => {
+      let restored = false;
       try {
-        await this._markAlive(`cluster 0x${clusterId.toString(16)}`);
+        restored = await this._markAlive(`cluster 0x${clusterId.toString(16)}`, meta, { deferReplay: true });
       } catch (e) {
         this.device.error('[Availability] handleFrame hook error:', e.message);
       }
-      return original ? original(endpointId, clusterId, frame, meta) : undefined;
+      try {
+        return original ? await original(endpointId, clusterId, frame, meta) : undefined;
+      } finally {
+        if (restored) this._replayDetached();
+      }
     };
 
     this.device.log('[Availability] handleFrame hook installed');
@@ -400,7 +828,147 @@ class AvailabilityManagerCluster6 extends AvailabilityManagerBase {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Ping — passive hook + active probe
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @class AvailabilityManagerPing
+ * @extends AvailabilityManagerCluster0
+ *
+ * Same passive handleFrame hook as Cluster0, but once idle exceeds `timeout` the
+ * device is probed with a cheap request before it is declared unavailable.
+ * While unavailable, the probe is repeated once per `timeout` period so a
+ * device that never reports on its own can still recover.
+ *
+ * The first attempt waits a random `0..pingJitter` ms so devices installed
+ * together do not all probe in the same watchdog tick.
+ *
+ * Use for:
+ * - Mains switches / relays that only report on state change
+ */
+class AvailabilityManagerPing extends AvailabilityManagerCluster0 {
+
+  /**
+   * @param {import('homey-zigbeedriver').ZigBeeDevice} device
+   * @param {Object} options - Base options, plus:
+   * @param {'zclVersion'|'dataQuery'|function(Object): Promise<*>} [options.ping='zclVersion'] -
+   *   Probe: Basic `zclVersion` read, Tuya EF00 `dataQuery`, or a custom async function
+   *   receiving the device. Resolving counts as alive.
+   * @param {number} [options.pingEndpoint=1] - Endpoint for the built-in probes.
+   * @param {number} [options.pingAttempts=2] - Probes before giving up.
+   * @param {number} [options.pingRetryDelay=5000] - ms between attempts.
+   * @param {number} [options.pingJitter=30000] - Max random delay (ms) before the first attempt.
+   */
+  constructor(device, options = {}) {
+    super(device, {
+      ping: 'zclVersion',
+      pingEndpoint: 1,
+      pingAttempts: 2,
+      pingRetryDelay: 5 * 1000,
+      pingJitter: 30 * 1000,
+      ...options,
+    });
+
+    this._pinging = false;
+    this._lastPingTs = 0;
+  }
+
+  /**
+   * Install the handleFrame hook and start the watchdog.
+   */
+  async install() {
+    await super.install();
+    if (this._installed) {
+      this.device.log(`[Availability] Active ping enabled (${typeof this.options.ping === 'function' ? 'custom' : this.options.ping}, ${this.options.pingAttempts} attempts)`);
+    }
+  }
+
+  /**
+   * Probe instead of timing out straight away.
+   *
+   * @param {number} idle
+   * @protected
+   */
+  async _onIdle(idle) {
+    if (this._pinging || idle <= this.options.timeout) return;
+
+    const available = this.device.getAvailable();
+
+    // Unavailable devices are re-probed once per timeout period
+    if (!available && Date.now() - this._lastPingTs < this.options.timeout) return;
+
+    this._pinging = true;
+    try {
+      const idleMin = Math.round(idle / 60000);
+      this.device.log(`[Availability] Idle ${idleMin}min — probing`);
+
+      if (await this._probe()) {
+        await this._markAlive('ping');
+      } else if (available) {
+        await this._markAllUnavailable(`No response to ping after ${idleMin}min idle`, idle);
+      }
+    } finally {
+      this._pinging = false;
+    }
+  }
+
+  /**
+   * Run up to `pingAttempts` probes after a random jitter delay.
+   *
+   * @returns {Promise<boolean>} true when any probe answered.
+   * @private
+   */
+  async _probe() {
+    const { pingAttempts, pingRetryDelay, pingJitter } = this.options;
+
+    await this._sleep(Math.floor(Math.random() * pingJitter));
+
+    for (let attempt = 1; attempt <= pingAttempts; attempt++) {
+      this._lastPingTs = Date.now();
+      try {
+        await this._ping();
+        this.device.log(`[Availability] Ping ${attempt}/${pingAttempts} answered`);
+        return true;
+      } catch (err) {
+        this.device.log(`[Availability] Ping ${attempt}/${pingAttempts} failed: ${err.message}`);
+      }
+      if (attempt < pingAttempts) await this._sleep(pingRetryDelay);
+    }
+
+    return false;
+  }
+
+  /**
+   * Send one probe.
+   * @private
+   */
+  async _ping() {
+    const { ping, pingEndpoint } = this.options;
+    if (typeof ping === 'function') return ping(this.device);
+
+    const clusters = this.device.zclNode?.endpoints?.[pingEndpoint]?.clusters;
+
+    if (ping === 'dataQuery') {
+      if (!clusters?.tuya) throw new Error(`tuya cluster not on ep${pingEndpoint}`);
+      const transid = this.device.transactionID ?? 0;
+      return clusters.tuya.dataQuery({ transid });
+    }
+
+    if (!clusters?.basic) throw new Error(`basic cluster not on ep${pingEndpoint}`);
+    return clusters.basic.readAttributes(['zclVersion']);
+  }
+
+  /** @private */
+  _sleep(ms) {
+    return new Promise(resolve => this.device.homey.setTimeout(resolve, ms));
+  }
+}
+
 module.exports = {
   AvailabilityManagerCluster0,
   AvailabilityManagerCluster6,
+  AvailabilityManagerPing,
+  getLastSeen,
+  getAvailabilityManager,
 };
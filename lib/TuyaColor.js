@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * TuyaColor - Color codecs for Tuya EF00 lights.
+ *
+ * Converts between Homey light capabilities and the device color strings:
+ *
+ *   Homey:   { hue: 0-1, saturation: 0-1, value: 0-1 }
+ *
+ *   V2 HSV   (V2_LIGHT_DATA_POINTS.color): 12 hex characters "hhhhssssvvvv"
+ *            h = 0-360, s = 0-1000, v = 0-1000 (each uint16, big-endian)
+ *            e.g. "00f003e803e8" = 240°, 100%, 100%
+ *
+ *   V1 RGB+HSV (V1_LIGHT_DATA_POINTS.color): 14 hex characters "rrggbbhhhhssvv"
+ *            r/g/b = 0-255, h = 0-360 (uint16), s = 0-255, v = 0-255
+ *            The device uses the HSV part; RGB is sent for older firmware.
+ *
+ * @version 1.0.0
+ */
+
+const V2_LENGTH = 12;
+const V1_LENGTH = 14;
+
+const V2_SCALE = 1000;
+const V1_SCALE = 255;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Clamp to 0-1.
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+const clamp01 = (value) => Math.min(1, Math.max(0, Number(value) || 0));
+
+/**
+ * Integer → zero-padded lowercase hex.
+ *
+ * @param {number} value
+ * @param {number} digits
+ * @returns {string}
+ */
+const toHex = (value, digits) => Math.round(value).toString(16).padStart(digits, '0');
+
+/**
+ * Validate a hex color string of the given length.
+ *
+ * @param {string} text
+ * @param {number} length
+ * @returns {string} Lowercased string
+ */
+const checkHex = (text, length) => {
+  const hex = String(text).trim().toLowerCase();
+  if (hex.length !== length || !/^[0-9a-f]+$/.test(hex)) {
+    throw new Error(`[Color] invalid color "${text}" (expected ${length} hex characters)`);
+  }
+  return hex;
+};
+
+/**
+ * HSV (0-1 each) → RGB (0-255 each).
+ *
+ * @param {{hue: number, saturation: number, value: number}} hsv
+ * @returns {{r: number, g: number, b: number}}
+ */
+const hsvToRgb = ({ hue, saturation, value }) => {
+  const h = (clamp01(hue) * 6) % 6;
+  const s = clamp01(saturation);
+  const v = clamp01(value);
+
+  const sector = Math.floor(h);
+  const f = h - sector;
+  const p = v * (1 - s);
+  const q = v * (1 - s * f);
+  const t = v * (1 - s * (1 - f));
+
+  const [r, g, b] = [
+    [v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q],
+  ][sector];
+
+  return { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// V2 HSV string
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Decode a V2 "hhhhssssvvvv" color.
+ *
+ * @param {string} text
+ * @returns {{hue: number, saturation: number, value: number}} 0-1 each
+ */
+const parseHsvString = (text) => {
+  const hex = checkHex(text, V2_LENGTH);
+  const h = parseInt(hex.slice(0, 4), 16);
+  const s = parseInt(hex.slice(4, 8), 16);
+  const v = parseInt(hex.slice(8, 12), 16);
+
+  return {
+    hue: (h % 360) / 360,
+    saturation: Math.min(s, V2_SCALE) / V2_SCALE,
+    value: Math.min(v, V2_SCALE) / V2_SCALE,
+  };
+};
+
+/**
+ * Encode a V2 "hhhhssssvvvv" color.
+ *
+ * @param {{hue: number, saturation: number, value: number}} hsv - 0-1 each
+ * @returns {string}
+ */
+const marshalHsvString = ({ hue, saturation, value }) => {
+  return toHex(Math.round(clamp01(hue) * 360) % 360, 4)
+    + toHex(clamp01(saturation) * V2_SCALE, 4)
+    + toHex(clamp01(value) * V2_SCALE, 4);
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// V1 RGB+HSV string
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Decode a V1 "rrggbbhhhhssvv" color (HSV part).
+ *
+ * @param {string} text
+ * @returns {{hue: number, saturation: number, value: number}} 0-1 each
+ */
+const parseRgbHsvString = (text) => {
+  const hex = checkHex(text, V1_LENGTH);
+  const h = parseInt(hex.slice(6, 10), 16);
+  const s = parseInt(hex.slice(10, 12), 16);
+  const v = parseInt(hex.slice(12, 14), 16);
+
+  return {
+    hue: (h % 360) / 360,
+    saturation: s / V1_SCALE,
+    value: v / V1_SCALE,
+  };
+};
+
+/**
+ * Encode a V1 "rrggbbhhhhssvv" color.
+ *
+ * @param {{hue: number, saturation: number, value: number}} hsv - 0-1 each
+ * @returns {string}
+ */
+const marshalRgbHsvString = ({ hue, saturation, value }) => {
+  const { r, g, b } = hsvToRgb({ hue, saturation, value });
+  return toHex(r, 2) + toHex(g, 2) + toHex(b, 2)
+    + toHex(Math.round(clamp01(hue) * 360) % 360, 4)
+    + toHex(clamp01(saturation) * V1_SCALE, 2)
+    + toHex(clamp01(value) * V1_SCALE, 2);
+};
+
+module.exports = {
+  hsvToRgb,
+  parseHsvString,
+  marshalHsvString,
+  parseRgbHsvString,
+  marshalRgbHsvString,
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * @file TuyaCommandQueue.js
+ * @description Outbound command queue for one physical Tuya EF00 node.
+ *
+ * All gangs of a multi-gang switch share one radio node but are separate Homey
+ * device instances. Without coordination each gang writes independently and
+ * frames collide (or get dropped by debounce flags). This queue:
+ *
+ * - Serializes writes: one command in flight per node.
+ * - Coalesces superseded writes: a queued (not yet started) command for the
+ *   same key (DP) is replaced by the newer one. The older caller resolves
+ *   immediately with `{ superseded: true }` — its intent was overridden.
+ * - Enforces inter-frame spacing: at least `spacing` ms between commands.
+ *
+ * Commands for different keys are never dropped: "all off" across six gangs
+ * results in six serialized, spaced writes.
+ *
+ * One queue per node is shared through {@link TuyaCommandQueue.forNode} and
+ * dropped with {@link TuyaCommandQueue.release} when the main device is removed.
+ *
+ * @version 1.0.1
+ *
+ * @example
+ * const queue = TuyaCommandQueue.forNode(ieeeAddress, { sleep });
+ * await queue.enqueue(dp, () => sendFrame(dp, value));
+ */
+
+/** Minimum gap between two frames to the same node (ms). */
+const DEFAULT_SPACING = 150;
+
+/** @type {Map<string, TuyaCommandQueue>} ieeeAddress → queue */
+const NODE_QUEUES = new Map();
+
+class TuyaCommandQueue {
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.spacing=150] - Minimum ms between commands
+   * @param {function(number): Promise<void>} [options.sleep] - Delay helper (use homey.setTimeout)
+   */
+  constructor(options = {}) {
+    this.spacing = options.spacing ?? DEFAULT_SPACING;
+    this._sleep  = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    /** @type {Array<{key: *, task: Function, spacing: number, resolve: Function, reject: Function}>} */
+    this._items   = [];
+    this._running = false;
+  }
+
+  /**
+   * Shared queue for a physical node. Created on first use.
+   *
+   * Options only apply when the queue is created: later callers get the
+   * existing queue with the first caller's spacing and sleep helper, whatever
+   * they pass. Per-command gaps go through enqueue's `options.spacing`.
+   *
+   * @param {string} nodeId - ieeeAddress (or any stable node key)
+   * @param {Object} [options] - Constructor options, used on creation only
+   * @returns {TuyaCommandQueue}
+   */
+  static forNode(nodeId, options = {}) {
+    let queue = NODE_QUEUES.get(nodeId);
+    if (!queue) {
+      queue = new TuyaCommandQueue(options);
+      NODE_QUEUES.set(nodeId, queue);
+    }
+    return queue;
+  }
+
+  /**
+   * Drop the shared queue of a node (device removed).
+   *
+   * @param {string} nodeId
+   */
+  static release(nodeId) {
+    const queue = NODE_QUEUES.get(nodeId);
+    if (!queue) return;
+    queue.clear();
+    NODE_QUEUES.delete(nodeId);
+  }
+
+  /** Number of queued (not yet started) commands. */
+  get size() {
+    return this._items.length;
+  }
+
+  /**
+   * Queue a command.
+   *
+   * @param {*} key - Coalescing key (DP). Pass null to never coalesce.
+   * @param {function(): Promise<*>} task - Performs the write (including retries)
+   * @param {Object} [options]
+   * @param {number} [options.spacing] - Gap after this command (never below queue spacing)
+   * @returns {Promise<*>} Task result, or `{ superseded: true }` when replaced
+   */
+  enqueue(key, task, options = {}) {
+    return new Promise((resolve, reject) => {
+      const item = {
+        key,
+        task,
+        spacing: Math.max(this.spacing, options.spacing ?? 0),
+        resolve,
+        reject,
+      };
+
+      const index = key === null || key === undefined
+        ? -1
+        : this._items.findIndex(queued => queued.key === key);
+
+      if (index >= 0) {
+        this._items[index].resolve({ superseded: true });
+        this._items[index] = item;
+      } else {
+        this._items.push(item);
+      }
+
+      this._drain();
+    });
+  }
+
+  /**
+   * Reject every queued command (in-flight command finishes normally).
+   */
+  clear() {
+    const items = this._items.splice(0);
+    for (const item of items) {
+      item.reject(new Error('[CommandQueue] cleared'));
+    }
+  }
+
+  /**
+   * Run queued commands one at a time, spacing them out.
+   * @private
+   */
+  async _drain() {
+    if (this._running) return;
+    this._running = true;
+
+    try {
+      while (this._items.length > 0) {
+        const item = this._items.shift();
+        try {
+          item.resolve(await item.task());
+        } catch (err) {
+          item.reject(err);
+        }
+        await this._sleep(item.spacing);
+      }
+    } finally {
+      this._running = false;
+    }
+  }
+}
+
+module.exports = TuyaCommandQueue;
@@ -4,11 +4,16 @@
  * TuyaHelpers - Utility library for Tuya Zigbee device drivers.
  *
  * Provides standardized methods for:
- * - Parsing Tuya datapoint values
+ * - Parsing Tuya datapoint values (typed codec: int32/uint32/int16, bitmaps)
  * - Multi-byte number conversion
  * - Device configuration (dimmer, power-on, switch type)
  *
- * @version 3.2.0 - Removed unused schedule functions (parseSchedule, marshalSchedule)
+ * Weekly schedule codecs live in TuyaSchedule.js.
+ *
+ * @version 3.4.0 - RAW payloads decode as numbers when a numberType is given
+ *   (sensors that report measurements as RAW DPs). Since 3.3.0: signed
+ *   integers, bitmap flags and strict length validation in getDataValue
+ *   (value DPs are int32 by default: -3.2 °C no longer wraps)
  */
 
 /**
@@ -24,13 +29,33 @@ const TUYA_DATA_TYPES = {
   bitmap: 5,
 };
 
+/**
+ * Number encodings for datatype 2 (value) payloads.
+ * Tuya spec: value DPs are 4-byte signed big-endian; some firmwares send
+ * 2-byte or unsigned payloads.
+ * @enum {{size: number, read: string, write: string, min: number, max: number}}
+ */
+const NUMBER_TYPES = {
+  int32:  { size: 4, read: 'readInt32BE',  write: 'writeInt32BE',  min: -0x80000000, max: 0x7FFFFFFF },
+  uint32: { size: 4, read: 'readUInt32BE', write: 'writeUInt32BE', min: 0,           max: 0xFFFFFFFF },
+  int16:  { size: 2, read: 'readInt16BE',  write: 'writeInt16BE',  min: -0x8000,     max: 0x7FFF },
+  uint16: { size: 2, read: 'readUInt16BE', write: 'writeUInt16BE', min: 0,           max: 0xFFFF },
+};
+
+/** Valid payload lengths per datatype (raw and string are free-length). */
+const DATA_LENGTHS = {
+  [TUYA_DATA_TYPES.bool]:   [1],
+  [TUYA_DATA_TYPES.enum]:   [1],
+  [TUYA_DATA_TYPES.bitmap]: [1, 2, 4],
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Data conversion
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Convert a multi-byte big-endian array to a single decimal number.
- * Algorithm: each byte is shifted left by 8 bits and OR'd with accumulator.
+ * Convert a multi-byte big-endian array to a single unsigned decimal number.
+ * Kept for legacy callers — prefer decodeNumber() for value DPs.
  * Example: [0x01, 0x2C] → 300
  *
  * @param {Array<number>|Buffer} chunks - Byte array from Tuya device
@@ -38,28 +63,98 @@ const TUYA_DATA_TYPES = {
  */
 const convertMultiByteNumberPayloadToSingleDecimalNumber = (chunks) => {
   if (!chunks || chunks.length === 0) return 0;
-  return chunks.reduce((acc, byte) => (acc << 8) | byte, 0);
+  return chunks.reduce((acc, byte) => acc * 256 + byte, 0);
+};
+
+/**
+ * Decode a datatype 2 (value) payload.
+ *
+ * @param {Buffer} buf - Payload bytes
+ * @param {'int32'|'uint32'|'int16'|'uint16'} [numberType='int32']
+ * @returns {number}
+ * @throws {Error} If the number type is unknown or the length does not match
+ *
+ * @example
+ * decodeNumber(Buffer.from([0xFF, 0xFF, 0xFF, 0xE0])) // -32
+ */
+const decodeNumber = (buf, numberType = 'int32') => {
+  const type = NUMBER_TYPES[numberType];
+  if (!type) throw new Error(`Unsupported number type: ${numberType}`);
+  if (buf.length !== type.size) {
+    throw new Error(`Invalid ${numberType} length: expected ${type.size}, got ${buf.length}`);
+  }
+  return buf[type.read](0);
+};
+
+/**
+ * Encode a number as a datatype 2 (value) payload.
+ *
+ * @param {number} value - Integer within the range of numberType
+ * @param {'int32'|'uint32'|'int16'|'uint16'} [numberType='int32']
+ * @returns {Buffer}
+ * @throws {Error} If value is not an integer or out of range
+ */
+const encodeNumber = (value, numberType = 'int32') => {
+  const type = NUMBER_TYPES[numberType];
+  if (!type) throw new Error(`Unsupported number type: ${numberType}`);
+  if (!Number.isInteger(value) || value < type.min || value > type.max) {
+    throw new Error(`Invalid ${numberType}: ${value}`);
+  }
+  const buf = Buffer.alloc(type.size);
+  buf[type.write](value, 0);
+  return buf;
+};
+
+/**
+ * Decode a datatype 5 (bitmap) payload (1, 2 or 4 bytes, big-endian).
+ * Without a flag table the unsigned bitmap number is returned.
+ *
+ * @param {Buffer} buf
+ * @param {Object<number, string>} [flags] - Bit index → flag name
+ * @returns {number|Object<string, boolean>}
+ *
+ * @example
+ * decodeBitmap(Buffer.from([0x05]), { 0: 'fault', 1: 'lowBattery', 2: 'tamper' })
+ * // { fault: true, lowBattery: false, tamper: true }
+ */
+const decodeBitmap = (buf, flags) => {
+  const bitmap = buf.readUIntBE(0, buf.length);
+  if (!flags) return bitmap;
+
+  return Object.entries(flags).reduce((acc, [bit, name]) => {
+    acc[name] = (bitmap & (2 ** Number(bit))) !== 0;
+    return acc;
+  }, {});
 };
 
 /**
  * Parse a Tuya datapoint value object into a JavaScript type.
- * Automatically detects datatype and returns bool, number, string, or Buffer.
+ * Automatically detects datatype and returns bool, number, string, Buffer
+ * or a flag object. Payload lengths are validated strictly.
  *
  * @param {Object} dpValue - Datapoint value from cluster
  * @param {number} dpValue.datatype - Tuya datatype ID (0-5)
  * @param {Buffer|Array<number>} dpValue.data - Raw data bytes
- * @returns {boolean|number|string|Buffer|Array}
- * @throws {Error} If input is invalid or datatype is unsupported
+ * @param {Object} [options]
+ * @param {'int32'|'uint32'|'int16'|'uint16'} [options.numberType='int32'] - Value encoding;
+ *   for RAW payloads only when given (otherwise the Buffer is returned)
+ * @param {Object<number, string>} [options.flags] - Bitmap bit index → flag name
+ * @returns {boolean|number|string|Buffer|Object<string, boolean>}
+ * @throws {Error} If input is invalid, length mismatches or datatype is unsupported
  *
  * @example
  * // Boolean (on/off)
  * getDataValue({ datatype: 1, data: [0x01] }) // true
  *
  * @example
- * // 32-bit value (temperature x 10)
- * getDataValue({ datatype: 2, data: [0x00, 0x00, 0x00, 0xDC] }) // 220
+ * // 32-bit signed value (temperature x 10)
+ * getDataValue({ datatype: 2, data: [0xFF, 0xFF, 0xFF, 0xE0] }) // -32
+ *
+ * @example
+ * // RAW payload carrying an unsigned number (illuminance)
+ * getDataValue({ datatype: 0, data: [0x00, 0x00, 0x01, 0x2C] }, { numberType: 'uint32' }) // 300
  */
-const getDataValue = (dpValue) => {
+const getDataValue = (dpValue, options = {}) => {
   if (!dpValue || dpValue.data === undefined) {
     throw new Error('Invalid datapoint value: missing data');
   }
@@ -67,19 +162,25 @@ const getDataValue = (dpValue) => {
     throw new Error('Invalid datapoint data: must be array or buffer');
   }
 
+  const data = Buffer.from(dpValue.data);
+  const lengths = DATA_LENGTHS[dpValue.datatype];
+  if (lengths && !lengths.includes(data.length)) {
+    throw new Error(`Invalid length ${data.length} for datatype ${dpValue.datatype}`);
+  }
+
   switch (dpValue.datatype) {
     case TUYA_DATA_TYPES.raw:
-      return dpValue.data;
+      return options.numberType ? decodeNumber(data, options.numberType) : data;
     case TUYA_DATA_TYPES.bool:
-      return dpValue.data[0] === 1;
+      return data[0] === 1;
     case TUYA_DATA_TYPES.value:
-      return convertMultiByteNumberPayloadToSingleDecimalNumber(dpValue.data);
+      return decodeNumber(data, options.numberType);
     case TUYA_DATA_TYPES.string:
-      return String.fromCharCode(...dpValue.data);
+      return data.toString('latin1');
     case TUYA_DATA_TYPES.enum:
-      return dpValue.data[0];
+      return data[0];
     case TUYA_DATA_TYPES.bitmap:
-      return convertMultiByteNumberPayloadToSingleDecimalNumber(dpValue.data);
+      return decodeBitmap(data, options.flags);
     default:
       throw new Error(`Unsupported datatype: ${dpValue.datatype}`);
   }
@@ -159,7 +260,11 @@ async function setSwitchType(device, value) {
 
 module.exports = {
   TUYA_DATA_TYPES,
+  NUMBER_TYPES,
   getDataValue,
+  decodeNumber,
+  encodeNumber,
+  decodeBitmap,
   convertMultiByteNumberPayloadToSingleDecimalNumber,
   setMinimumBrightness,
   setMaximumBrightness,
@@ -0,0 +1,334 @@
+'use strict';
+
+/**
+ * TuyaLightScene - Scene and music-sync codecs for Tuya EF00 lights.
+ *
+ * Converts between a human JSON scene and the device strings:
+ *
+ *   Human:   { id: 0-255, steps: [{ mode, speed, colors: [...] }, ...] }
+ *            or just the steps array (id defaults to 0).
+ *            mode  = 'static' | 'jump' | 'gradient'
+ *            speed = 1-100 (higher is faster)
+ *            color = '#rrggbb'
+ *                  | { hue: 0-360, saturation: 0-100, brightness: 0-100 }
+ *                  | { temperature: 0-100, brightness: 0-100 }  (white;
+ *                    temperature 0 = warmest, 100 = coldest)
+ *            Every color becomes one scene unit; a step shares its mode and
+ *            speed across its colors.
+ *
+ *   Scene string (V2_LIGHT_DATA_POINTS.scene): hex, "ss" + up to 8 units of
+ *            26 characters "iiccmmhhhhssssvvvvbbbbtttt"
+ *            ii = switch interval, cc = change time (both 0-100, from speed),
+ *            mm = mode (00 static, 01 jump, 02 gradient),
+ *            h = 0-360, s/v = 0-1000 (color units),
+ *            b/t = brightness / temperature 0-1000 (white units)
+ *
+ *   Music-sync string (V2_LIGHT_DATA_POINTS.musicSync): 21 hex characters
+ *            "mhhhhssssvvvvbbbbtttt", m = 0 jump, 1 gradient
+ *
+ * @version 1.0.0
+ */
+
+/** Scene unit change mode ↔ code. */
+const SCENE_MODES = Object.freeze({ static: 0, jump: 1, gradient: 2 });
+
+/** Music-sync change mode ↔ code. */
+const MUSIC_MODES = Object.freeze({ jump: 0, gradient: 1 });
+
+const MAX_UNITS   = 8;
+const UNIT_LENGTH = 26;
+const MUSIC_LENGTH = 21;
+const SCALE       = 1000;
+
+/** Built-in scenes for the "play light scene" flow card. */
+const SCENE_PRESETS = Object.freeze({
+  candle: {
+    id: 0,
+    steps: [{
+      mode: 'gradient',
+      speed: 40,
+      colors: [
+        { hue: 30, saturation: 100, brightness: 100 },
+        { hue: 25, saturation: 100, brightness: 55 },
+        { hue: 35, saturation: 95, brightness: 85 },
+        { hue: 28, saturation: 100, brightness: 45 },
+      ],
+    }],
+  },
+  breathing: {
+    id: 0,
+    steps: [{
+      mode: 'gradient',
+      speed: 20,
+      colors: [
+        { temperature: 30, brightness: 100 },
+        { temperature: 30, brightness: 5 },
+      ],
+    }],
+  },
+  rainbow: {
+    id: 0,
+    steps: [{
+      mode: 'gradient',
+      speed: 60,
+      colors: [0, 60, 120, 180, 240, 300].map(hue => ({ hue, saturation: 100, brightness: 100 })),
+    }],
+  },
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Integer → zero-padded lowercase hex.
+ *
+ * @param {number} value
+ * @param {number} digits
+ * @returns {string}
+ */
+const toHex = (value, digits) => Math.round(value).toString(16).padStart(digits, '0');
+
+/**
+ * Validate a number within a range.
+ *
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @param {string} label
+ * @returns {number}
+ */
+const checkRange = (value, min, max, label) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`[Scene] ${label} must be ${min}-${max} (got ${value})`);
+  }
+  return number;
+};
+
+/**
+ * '#rrggbb' → { hue, saturation, brightness } in human units.
+ *
+ * @param {string} text
+ * @returns {{hue: number, saturation: number, brightness: number}}
+ */
+const rgbToColor = (text) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(text).trim());
+  if (!match) throw new Error(`[Scene] invalid color "${text}" (expected #rrggbb)`);
+
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(match[1].slice(i, i + 2), 16) / 255);
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+
+  let hue = 0;
+  if (delta > 0) {
+    if (max === r) hue = ((g - b) / delta) % 6;
+    else if (max === g) hue = (b - r) / delta + 2;
+    else hue = (r - g) / delta + 4;
+  }
+
+  return {
+    hue: Math.round((hue * 60 + 360) % 360),
+    saturation: Math.round(max === 0 ? 0 : (delta / max) * 100),
+    brightness: Math.round(max * 100),
+  };
+};
+
+/**
+ * Validate one human color; hex strings become hue/saturation/brightness.
+ *
+ * @param {string|Object} color
+ * @param {string} label
+ * @returns {Object}
+ */
+const normalizeColor = (color, label) => {
+  if (typeof color === 'string') return rgbToColor(color);
+  if (!color || typeof color !== 'object') {
+    throw new Error(`[Scene] ${label}: expected '#rrggbb' or an object`);
+  }
+
+  const brightness = checkRange(color.brightness ?? 100, 0, 100, `${label} brightness`);
+
+  if (color.temperature !== undefined) {
+    return { temperature: checkRange(color.temperature, 0, 100, `${label} temperature`), brightness };
+  }
+
+  return {
+    hue: checkRange(color.hue ?? 0, 0, 360, `${label} hue`) % 360,
+    saturation: checkRange(color.saturation ?? 100, 0, 100, `${label} saturation`),
+    brightness,
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Human format
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a human scene (object, steps array or JSON string) and validate it.
+ *
+ * @param {Object|Array|string} scene
+ * @returns {{id: number, steps: Array<{mode: string, speed: number, colors: Array<Object>}>}}
+ */
+const parseLightScene = (scene) => {
+  let input = scene;
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`[Scene] invalid JSON: ${err.message}`);
+    }
+  }
+  if (Array.isArray(input)) input = { steps: input };
+  if (!input || typeof input !== 'object' || !Array.isArray(input.steps) || input.steps.length === 0) {
+    throw new Error('[Scene] expected a non-empty list of { mode, speed, colors }');
+  }
+
+  const id = checkRange(input.id ?? 0, 0, 255, 'id');
+
+  const steps = input.steps.map((step, i) => {
+    const label = `step ${i + 1}`;
+    const mode = step?.mode ?? 'gradient';
+    if (SCENE_MODES[mode] === undefined) {
+      throw new Error(`[Scene] ${label}: unknown mode "${mode}" (expected ${Object.keys(SCENE_MODES).join(', ')})`);
+    }
+    if (!Array.isArray(step.colors) || step.colors.length === 0) {
+      throw new Error(`[Scene] ${label}: expected a non-empty list of colors`);
+    }
+
+    return {
+      mode,
+      speed: checkRange(step.speed ?? 50, 1, 100, `${label} speed`),
+      colors: step.colors.map((color, j) => normalizeColor(color, `${label} color ${j + 1}`)),
+    };
+  });
+
+  const units = steps.reduce((count, step) => count + step.colors.length, 0);
+  if (units > MAX_UNITS) throw new Error(`[Scene] ${units} colors given, the light accepts at most ${MAX_UNITS}`);
+
+  return { id: Math.round(id), steps };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Scene string
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Color → "hhhhssssvvvvbbbbtttt".
+ *
+ * @param {Object} color - Normalized human color
+ * @returns {string}
+ */
+const marshalColorFields = (color) => {
+  if (color.temperature !== undefined) {
+    return toHex(0, 12) + toHex(color.brightness * 10, 4) + toHex(color.temperature * 10, 4);
+  }
+  return toHex(color.hue, 4) + toHex(color.saturation * 10, 4) + toHex(color.brightness * 10, 4) + toHex(0, 8);
+};
+
+/**
+ * "hhhhssssvvvvbbbbtttt" → color. Units with a zero HSV value are white.
+ *
+ * @param {string} hex
+ * @returns {Object} Human color
+ */
+const parseColorFields = (hex) => {
+  const [h, s, v, b, t] = [0, 4, 8, 12, 16].map(i => parseInt(hex.slice(i, i + 4), 16));
+  if (v === 0 && b > 0) {
+    return { temperature: Math.round(Math.min(t, SCALE) / 10), brightness: Math.round(Math.min(b, SCALE) / 10) };
+  }
+  return {
+    hue: h % 360,
+    saturation: Math.round(Math.min(s, SCALE) / 10),
+    brightness: Math.round(Math.min(v, SCALE) / 10),
+  };
+};
+
+/**
+ * Encode a human scene into the DP25 string.
+ *
+ * @param {Object|Array|string} scene
+ * @returns {string}
+ */
+const marshalSceneString = (scene) => {
+  const { id, steps } = parseLightScene(scene);
+
+  return toHex(id, 2) + steps.map(({ mode, speed, colors }) => colors.map(color =>
+    toHex(speed, 2) + toHex(speed, 2) + toHex(SCENE_MODES[mode], 2) + marshalColorFields(color)
+  ).join('')).join('');
+};
+
+/**
+ * Decode a DP25 string. Consecutive units sharing mode and speed are
+ * grouped into one step.
+ *
+ * @param {string} text
+ * @returns {{id: number, steps: Array<{mode: string, speed: number, colors: Array<Object>}>}}
+ */
+const parseSceneString = (text) => {
+  const hex = String(text).trim().toLowerCase();
+  if (!/^[0-9a-f]+$/.test(hex) || hex.length < 2 + UNIT_LENGTH || (hex.length - 2) % UNIT_LENGTH !== 0) {
+    throw new Error(`[Scene] invalid scene string "${text}"`);
+  }
+
+  const steps = [];
+  for (let offset = 2; offset < hex.length; offset += UNIT_LENGTH) {
+    const unit = hex.slice(offset, offset + UNIT_LENGTH);
+    const speed = parseInt(unit.slice(0, 2), 16);
+    const code = parseInt(unit.slice(4, 6), 16);
+    const mode = Object.keys(SCENE_MODES).find(key => SCENE_MODES[key] === code) ?? 'static';
+    const color = parseColorFields(unit.slice(6));
+
+    const last = steps[steps.length - 1];
+    if (last && last.mode === mode && last.speed === speed) last.colors.push(color);
+    else steps.push({ mode, speed, colors: [color] });
+  }
+
+  return { id: parseInt(hex.slice(0, 2), 16), steps };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Music-sync string
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Encode a DP27 music-sync frame.
+ *
+ * @param {{mode?: string, color: string|Object}} frame - mode 'jump' or 'gradient'
+ * @returns {string}
+ */
+const marshalMusicSyncString = ({ mode = 'jump', color }) => {
+  if (MUSIC_MODES[mode] === undefined) {
+    throw new Error(`[Scene] unknown music mode "${mode}" (expected ${Object.keys(MUSIC_MODES).join(', ')})`);
+  }
+  return toHex(MUSIC_MODES[mode], 1) + marshalColorFields(normalizeColor(color, 'music color'));
+};
+
+/**
+ * Decode a DP27 music-sync frame.
+ *
+ * @param {string} text
+ * @returns {{mode: string, color: Object}}
+ */
+const parseMusicSyncString = (text) => {
+  const hex = String(text).trim().toLowerCase();
+  if (hex.length !== MUSIC_LENGTH || !/^[0-9a-f]+$/.test(hex)) {
+    throw new Error(`[Scene] invalid music-sync string "${text}" (expected ${MUSIC_LENGTH} hex characters)`);
+  }
+
+  const code = parseInt(hex[0], 16);
+  return {
+    mode: Object.keys(MUSIC_MODES).find(key => MUSIC_MODES[key] === code) ?? 'jump',
+    color: parseColorFields(hex.slice(1)),
+  };
+};
+
+module.exports = {
+  SCENE_MODES,
+  SCENE_PRESETS,
+  parseLightScene,
+  marshalSceneString,
+  parseSceneString,
+  marshalMusicSyncString,
+  parseMusicSyncString,
+};
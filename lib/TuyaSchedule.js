@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * TuyaSchedule - Weekly schedule codec for Tuya thermostats and TRVs.
+ *
+ * Converts between a human JSON schedule and the device formats:
+ *
+ *   Human:   { monday: [{ time: '06:00', temperature: 21 }, ...], ... }
+ *            Each entry holds its temperature until the next entry's time.
+ *            Group keys 'daily', 'weekdays' and 'weekend' expand to their days;
+ *            an explicit day key wins over a group.
+ *
+ *   V1 raw   (V1_THERMOSTAT_DATA_POINTS.schedule*, one DP per day):
+ *            3 bytes per entry — [slot, temp_hi, temp_lo]
+ *            slot = minutes since midnight / 10 (0-143), temp = °C × 10 (uint16 BE)
+ *
+ *   V2 string (V2_THERMOSTATIC_RADIATOR_VALVE_DATA_POINTS.workdaysSchedule /
+ *            holidaysSchedule): space-separated "HH:MM/TT.T" pairs,
+ *            e.g. "06:00/21.0 08:00/17.0 17:00/21.0 22:00/17.0"
+ *
+ * Replaces parseSchedule / marshalSchedule removed from TuyaHelpers in v3.2.0.
+ *
+ * @version 1.0.0
+ */
+
+/** Day keys in week order (Monday first). */
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/** Group keys accepted in the human format. */
+const DAY_GROUPS = {
+  daily:    WEEKDAYS,
+  weekdays: WEEKDAYS.slice(0, 5),
+  weekend:  WEEKDAYS.slice(5),
+};
+
+/** V1 day → V1_THERMOSTAT_DATA_POINTS key. */
+const V1_DAY_DATAPOINTS = {
+  monday:    'scheduleMonday',
+  tuesday:   'scheduleTuesday',
+  wednesday: 'scheduleWednesday',
+  thursday:  'scheduleThursday',
+  friday:    'scheduleFriday',
+  saturday:  'scheduleSaturday',
+  sunday:    'scheduleSunday',
+};
+
+const SLOT_MINUTES   = 10;
+const SLOTS_PER_DAY  = (24 * 60) / SLOT_MINUTES;
+const V1_ENTRY_BYTES = 3;
+
+const MIN_TEMPERATURE = 5;
+const MAX_TEMPERATURE = 35;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Entry helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * "HH:MM" → minutes since midnight.
+ *
+ * @param {string} time
+ * @returns {number}
+ */
+const timeToMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+  if (!match) throw new Error(`[Schedule] invalid time "${time}" (expected HH:MM)`);
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) throw new Error(`[Schedule] invalid time "${time}"`);
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Minutes since midnight → "HH:MM".
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+const minutesToTime = (minutes) => {
+  const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mm = String(minutes % 60).padStart(2, '0');
+  return `${hh}:${mm}`;
+};
+
+/**
+ * Validate and normalise one day: times parsed, temperatures rounded to 0.1,
+ * entries sorted by time, duplicate times rejected.
+ *
+ * @param {Array<{time: string, temperature: number}>} entries
+ * @param {string} [label='day'] - Used in error messages
+ * @returns {Array<{time: string, temperature: number}>}
+ */
+const normalizeDaySchedule = (entries, label = 'day') => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`[Schedule] ${label}: expected a non-empty list of { time, temperature }`);
+  }
+
+  const normalized = entries.map((entry) => {
+    const minutes = timeToMinutes(entry?.time);
+    const temperature = Number(entry?.temperature);
+    if (!Number.isFinite(temperature) || temperature < MIN_TEMPERATURE || temperature > MAX_TEMPERATURE) {
+      throw new Error(`[Schedule] ${label} ${entry?.time}: temperature must be ${MIN_TEMPERATURE}-${MAX_TEMPERATURE} °C`);
+    }
+    return { minutes, temperature: Math.round(temperature * 10) / 10 };
+  }).sort((a, b) => a.minutes - b.minutes);
+
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].minutes === normalized[i - 1].minutes) {
+      throw new Error(`[Schedule] ${label}: duplicate time ${minutesToTime(normalized[i].minutes)}`);
+    }
+  }
+
+  return normalized.map(({ minutes, temperature }) => ({ time: minutesToTime(minutes), temperature }));
+};
+
+/**
+ * Parse a human weekly schedule (object or JSON string), expand group keys
+ * and validate every day. Days not mentioned are omitted.
+ *
+ * @param {Object|string} schedule
+ * @returns {Object<string, Array<{time: string, temperature: number}>>} day → entries
+ */
+const parseWeeklySchedule = (schedule) => {
+  let input = schedule;
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`[Schedule] invalid JSON: ${err.message}`);
+    }
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('[Schedule] expected an object of day → [{ time, temperature }]');
+  }
+
+  const result = {};
+
+  // Groups first, so explicit days override them
+  for (const [group, days] of Object.entries(DAY_GROUPS)) {
+    if (input[group] === undefined) continue;
+    const entries = normalizeDaySchedule(input[group], group);
+    for (const day of days) result[day] = entries;
+  }
+
+  for (const [key, entries] of Object.entries(input)) {
+    if (DAY_GROUPS[key]) continue;
+    const day = key.toLowerCase();
+    if (!WEEKDAYS.includes(day)) throw new Error(`[Schedule] unknown day "${key}"`);
+    result[day] = normalizeDaySchedule(entries, day);
+  }
+
+  if (Object.keys(result).length === 0) throw new Error('[Schedule] no days given');
+
+  // Week order for stable output
+  return Object.fromEntries(WEEKDAYS.filter(day => result[day]).map(day => [day, result[day]]));
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// V1 raw (10-minute slots)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Decode a V1 raw day schedule.
+ *
+ * @param {Buffer|Array<number>} data - DP payload
+ * @returns {Array<{time: string, temperature: number}>}
+ */
+const parseSchedule = (data) => {
+  const buf = Buffer.from(data);
+  if (buf.length % V1_ENTRY_BYTES !== 0) {
+    throw new Error(`[Schedule] invalid raw length ${buf.length} (expected multiple of ${V1_ENTRY_BYTES})`);
+  }
+
+  const entries = [];
+  for (let offset = 0; offset < buf.length; offset += V1_ENTRY_BYTES) {
+    const slot = buf[offset];
+    if (slot >= SLOTS_PER_DAY) throw new Error(`[Schedule] invalid slot ${slot}`);
+    entries.push({
+      time: minutesToTime(slot * SLOT_MINUTES),
+      temperature: buf.readUInt16BE(offset + 1) / 10,
+    });
+  }
+  return entries;
+};
+
+/**
+ * Encode one day as V1 raw. Times must fall on a 10-minute boundary.
+ *
+ * @param {Array<{time: string, temperature: number}>} entries
+ * @returns {Buffer}
+ */
+const marshalSchedule = (entries) => {
+  const day = normalizeDaySchedule(entries);
+  const buf = Buffer.alloc(day.length * V1_ENTRY_BYTES);
+
+  day.forEach(({ time, temperature }, i) => {
+    const minutes = timeToMinutes(time);
+    if (minutes % SLOT_MINUTES !== 0) {
+      throw new Error(`[Schedule] ${time}: time must be on a ${SLOT_MINUTES}-minute boundary`);
+    }
+    buf[i * V1_ENTRY_BYTES] = minutes / SLOT_MINUTES;
+    buf.writeUInt16BE(Math.round(temperature * 10), i * V1_ENTRY_BYTES + 1);
+  });
+
+  return buf;
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// V2 string
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Decode a V2 string schedule ("06:00/21.0 08:00/17.0 ..."). A trailing
+ * "°C" on temperatures is accepted.
+ *
+ * @param {string} text
+ * @returns {Array<{time: string, temperature: number}>}
+ */
+const parseScheduleString = (text) => {
+  const parts = String(text).trim().split(/\s+/).filter(Boolean);
+  const entries = parts.map((part) => {
+    const [time, temp] = part.split('/');
+    if (temp === undefined) throw new Error(`[Schedule] invalid entry "${part}" (expected HH:MM/TT.T)`);
+    return { time, temperature: parseFloat(temp) };
+  });
+  return normalizeDaySchedule(entries);
+};
+
+/**
+ * Encode one day as a V2 string.
+ *
+ * @param {Array<{time: string, temperature: number}>} entries
+ * @returns {string}
+ */
+const marshalScheduleString = (entries) => {
+  return normalizeDaySchedule(entries)
+    .map(({ time, temperature }) => `${time}/${temperature.toFixed(1)}`)
+    .join(' ');
+};
+
+module.exports = {
+  WEEKDAYS,
+  DAY_GROUPS,
+  V1_DAY_DATAPOINTS,
+  parseWeeklySchedule,
+  normalizeDaySchedule,
+  parseSchedule,
+  marshalSchedule,
+  parseScheduleString,
+  marshalScheduleString,
+};
@@ -13,8 +13,9 @@
  * - Time synchronization (0x24 command)
  * - Heartbeat monitoring (0x11 command)
  * - Data query support (request all datapoints)
+ * - Multi-DP frames: reporting/response split into one event per datapoint
  * 
- * @version 3.1.1 - Enhanced: flexible time sync, removed unused helpers
+ * @version 3.2.0 - Multi-DP frame parsing (0x01/0x02)
  */
 
 const { Cluster, ZCLDataTypes } = require('zigbee-clusters');
@@ -36,6 +37,56 @@ const STANDARD_DATAPOINT_ARGS = {
     data: ZCLDataTypes.buffer        // Actual data payload
 };
 
+/**
+ * Inbound datapoint frame structure (reporting, response)
+ * A single frame may carry several datapoint records back to back:
+ *   [dp:1][datatype:1][length:2 BE][data:length] [dp:1][datatype:1]...
+ * The payload is split by parseDatapoints() before events are emitted.
+ * @private
+ */
+const DATAPOINT_FRAME_ARGS = {
+    status: ZCLDataTypes.uint8,      // Command status
+    transid: ZCLDataTypes.uint8,     // Transaction ID (shared by all records)
+    payload: ZCLDataTypes.buffer     // One or more datapoint records
+};
+
+/**
+ * Split a datapoint frame payload into individual datapoint records.
+ *
+ * @param {Buffer|Array<number>} payload - Frame payload after status + transid
+ * @returns {Array<{dp: number, datatype: number, length: number, data: Buffer}>}
+ * @throws {Error} If a record is truncated (records parsed so far are attached as `error.datapoints`)
+ */
+function parseDatapoints(payload) {
+    const buf = Buffer.from(payload || []);
+    const datapoints = [];
+    let offset = 0;
+
+    while (offset < buf.length) {
+        if (offset + 4 > buf.length) {
+            const error = new Error(`Truncated datapoint header at byte ${offset}`);
+            error.datapoints = datapoints;
+            throw error;
+        }
+
+        const dp = buf.readUInt8(offset);
+        const datatype = buf.readUInt8(offset + 1);
+        const length = buf.readUInt16BE(offset + 2);
+        const start = offset + 4;
+
+        if (start + length > buf.length) {
+            const error = new Error(`Truncated DP${dp}: expected ${length} bytes, got ${buf.length - start}`);
+            error.datapoints = datapoints;
+            throw error;
+        }
+
+        datapoints.push({ dp, datatype, length, data: buf.slice(start, start + length) });
+        offset = start + length;
+    }
+
+    return datapoints;
+}
+
 /**
  * Command definitions for Tuya-specific Zigbee communication
  * Each command follows the Tuya protocol specification for the 0xEF00 cluster
@@ -54,21 +105,23 @@ const COMMANDS = {
     /**
      * 0x01: Reporting command (device → coordinator)
      * Device reports datapoint changes autonomously
+     * May carry several datapoints in one frame
      * Direction: Device → Coordinator
      */
     reporting: {
         id: 0x01,
-        args: STANDARD_DATAPOINT_ARGS
+        args: DATAPOINT_FRAME_ARGS
     },
     
     /**
      * 0x02: Response command (device → coordinator)
      * Device response to a datapoint write command
+     * May carry several datapoints in one frame
      * Direction: Device → Coordinator
      */
     response: {
         id: 0x02,
-        args: STANDARD_DATAPOINT_ARGS
+        args: DATAPOINT_FRAME_ARGS
     },
     
     /**
@@ -188,13 +241,38 @@ class TuyaSpecificCluster extends Cluster {
         }
     }
 
+    /**
+     * Split a multi-DP frame and emit one event per datapoint
+     * Each event keeps the frame's status and transaction id.
+     * @param {string} event - Event name
+     * @param {Object} frame - Parsed frame { status, transid, payload }
+     * @private
+     */
+    _emitDatapoints(event, frame) {
+        let datapoints;
+        try {
+            datapoints = parseDatapoints(frame?.payload);
+        } catch (error) {
+            this.error(`Malformed ${event} frame:`, error.message);
+            datapoints = error.datapoints || [];
+        }
+
+        for (const datapoint of datapoints) {
+            this.emit(event, {
+                status: frame.status,
+                transid: frame.transid,
+                ...datapoint
+            });
+        }
+    }
+
     /**
      * Handle incoming reporting command
-     * Emits 'reporting' event when device reports datapoint changes
+     * Emits one 'reporting' event per datapoint in the frame
      */
     onReporting(response) {
         try {
-            this.emit('reporting', response);
+            this._emitDatapoints('reporting', response);
         } catch (error) {
             this.error('Error handling reporting event:', error);
         }
@@ -202,11 +280,11 @@ class TuyaSpecificCluster extends Cluster {
 
     /**
      * Handle incoming response command
-     * Emits 'response' event with device response
+     * Emits one 'response' event per datapoint in the frame
      */
     onResponse(response) {
         try {
-            this.emit('response', response);
+            this._emitDatapoints('response', response);
         } catch (error) {
             this.error('Error handling response event:', error);
         }
@@ -333,3 +411,4 @@ class TuyaSpecificCluster extends Cluster {
 Cluster.addCluster(TuyaSpecificCluster);
 
 module.exports = TuyaSpecificCluster;
+module.exports.parseDatapoints = parseDatapoints;
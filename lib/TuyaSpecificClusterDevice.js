@@ -1,32 +1,138 @@
 /**
  * TuyaSpecificClusterDevice.js
  *
- * @version 4.3.0 - Added exponential backoff retry
- * @date 2026-02-19
+ * @version 4.12.1 - Firmware version from the Basic cluster
+ * @date 2026-10-19
  *
- * CHANGES vs v4.2.0:
+ * CHANGES vs v4.12.0:
  *
- *   ✅ Exponential backoff retry added to all write methods
- *      - writeBool(dp, value, maxRetries=2, baseDelay=300)
- *      - writeData32(dp, value, maxRetries=2, baseDelay=300)
- *      - writeEnum(dp, value, maxRetries=2, baseDelay=300)
- *      - writeString(dp, value, maxRetries=2, baseDelay=300)
- *      - writeRaw(dp, data, maxRetries=2, baseDelay=300)
+ *   ✅ The main device stores the Basic cluster swBuildId (or appVersion)
+ *      as `firmwareVersion` once, for the app health API
  *
- *   ✅ _sendTuyaDatapoint now handles retry logic internally
- *      - Exponential backoff: delay * 2^attempt
- *      - Example: 300ms → 600ms → 1200ms → 2400ms → 4800ms
- *      - Configurable per-call (commands vs settings)
+ * CHANGES in v4.12.0:
+ *
+ *   ✅ `min` / `max` map fields clamp decoded numbers (e.g. dim to 0-1 for
+ *      devices reporting out-of-range values)
+ *   ✅ `tolerance` map field skips capability updates smaller than it
+ *
+ * CHANGES in v4.11.3:
+ *
+ *   ✅ onDeleted() of the main device releases the node's TuyaCommandQueue
+ *      (subclasses call super.onDeleted())
+ *
+ * CHANGES in v4.11.2:
+ *
+ *   ✅ Confirmed writes only hold the node queue while the frame is sent;
+ *      the confirmation wait and retry backoff run outside it, so one
+ *      unanswered gang no longer blocks the others for all its retries
+ *   ✅ A confirmed write replaced by a newer write to the same DP stops
+ *      retrying and resolves `{ superseded: true }`
+ *
+ * CHANGES in v4.11.1:
+ *
+ *   ✅ writeDatapoint no longer sets the capability back itself on a failed
+ *      write; the rejected listener makes Homey revert it (the manual
+ *      rollback raced with reports that arrived meanwhile)
+ *
+ * CHANGES in v4.11.0:
+ *
+ *   ✅ `type: 'raw'` map entries with a numberType decode to numbers, so
+ *      scale, divisor and capabilities work for sensors reporting
+ *      measurements as RAW DPs (inbound only)
+ *
+ * CHANGES in v4.10.0:
+ *
+ *   ✅ `invert` map flag for 0-1 capabilities the device reports the other
+ *      way round (e.g. curtain position 0 = open)
+ *
+ * CHANGES in v4.9.0:
+ *
+ *   ✅ Writes that fail after all retries are kept in a short history
+ *      (getWriteFailures(), last MAX_WRITE_FAILURES) for the app health API
+ *
+ * CHANGES in v4.8.0:
+ *
+ *   ✅ writeDatapoint() on an unavailable device hands the write to the
+ *      node's AvailabilityManager (when its commandExpiry is set) instead
+ *      of failing; the latest value per DP is replayed on reconnect
+ *      and resolves `{ buffered: true }` meanwhile
+ *
+ * CHANGES in v4.7.0:
+ *
+ *   ✅ All writes go through one TuyaCommandQueue per physical node
+ *      - Gangs of a multi-gang switch no longer write concurrently
+ *      - Queued writes to the same DP are coalesced (latest wins)
+ *      - Inter-frame spacing (commandSpacing, 150ms) enforced by the queue;
+ *        sendBulkCommands no longer sleeps itself
+ *
+ * CHANGES in v4.6.0:
+ *
+ *   ✅ Optional confirmed-write mode (confirmWrites field, `confirm` map flag
+ *      or per-call options.confirm)
+ *      - A write only succeeds once a 0x01/0x02 frame reports the same DP
+ *        with the value that was sent, within confirmTimeout
+ *      - A missing confirmation counts as a failed attempt → backoff retry
+ *      - writeDatapoint rolls the mapped capability back on final failure
+ *
+ * CHANGES in v4.5.0:
+ *
+ *   ✅ Map entries accept numberType (int32/uint32/int16/uint16) and
+ *      bitmap flags; decoding goes through TuyaHelpers.getDataValue
+ *      (signed int32 by default, strict length validation)
+ *
+ *   ✅ writeData32 accepts negative int32 values (calibration offsets)
+ *
+ * CHANGES in v4.4.0:
+ *
+ *   ✅ Declarative datapoint map (override `datapoints` getter)
+ *      - DP id → capability or setting, datatype, scale, divisor, enum, direction
+ *      - Inbound: parse, capability update, setting sync-back
+ *      - Outbound: capability listeners + onSettings writes
+ *
+ *   ✅ installDatapointListeners(zclNode)
+ *      - One listener set per physical node (main device)
+ *      - Frames routed to the sibling that maps the DP
+ *
+ *   ✅ writeDatapoint(dp, value) encodes through the map
+ *      - Custom capability listeners use it instead of raw writeX calls
  *
  *   ✅ Maintains backward compatibility
- *      - Default maxRetries=2 (balanced)
- *      - Existing calls work without changes
- *      - Devices can override per-call
+ *      - writeBool / writeEnum / ... unchanged
+ *      - Devices without a map behave as before
  */
 
 'use strict';
 
 const { ZigBeeDevice } = require('homey-zigbeedriver');
+const { getDataValue, encodeNumber } = require('./TuyaHelpers');
+const TuyaCommandQueue = require('./TuyaCommandQueue');
+const { getAvailabilityManager } = require('./AvailabilityManager');
+
+/** Failed writes kept per device for diagnostics */
+const MAX_WRITE_FAILURES = 10;
+
+/**
+ * @typedef {Object} DatapointDefinition
+ * @property {string} [capability] - Homey capability fed by / writing to this DP
+ * @property {string} [setting] - Device setting fed by / writing to this DP
+ * @property {'raw'|'bool'|'value'|'string'|'enum'|'bitmap'} type - Tuya datatype
+ * @property {number} [scale=0] - Decimal places on the wire (raw / 10^scale)
+ * @property {number} [divisor=1] - Extra divisor applied after scale (e.g. 100 for % → dim)
+ * @property {boolean} [invert] - Homey value is 1 - decoded value (0-1 capabilities only)
+ * @property {number} [min] - Decoded numbers are clamped to at least this
+ * @property {number} [max] - Decoded numbers are clamped to at most this
+ * @property {number} [tolerance] - Capability is not updated for a smaller change
+ * @property {'int32'|'uint32'|'int16'|'uint16'} [numberType='int32'] - Value encoding
+ *   (also decodes 'raw' DPs as numbers when set)
+ * @property {Object<number, string>} [flags] - Bitmap bit index → flag name (decodes to object)
+ * @property {Object<number, *>} [enum] - Raw enum → Homey value table
+ * @property {'in'|'out'|'both'} [direction='both'] - Which half the engine wires up:
+ *   'in' = reports only, 'out' = writes only. writeDatapoint() ignores it.
+ * @property {number} [retries=2] - Max retries for outbound writes
+ * @property {number} [delay=300] - Base backoff delay in ms for outbound writes
+ * @property {boolean} [confirm] - Wait for the device to report the written value
+ *   (defaults to the device's confirmWrites field)
+ */
 
 class TuyaSpecificClusterDevice extends ZigBeeDevice {
 
@@ -37,12 +143,30 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
   /** Override in subclass for non-standard endpoint */
   tuyaEndpoint = 1;
 
+  /** Override in subclass: wait for a matching report after every write */
+  confirmWrites = false;
+
+  /** ms to wait for the confirming report before the attempt counts as failed */
+  confirmTimeout = 2500;
+
+  /** Minimum ms between two frames to this node (shared by all gangs) */
+  commandSpacing = 150;
+
   // ═══════════════════════════════════════════════════════════════════════
   // TRANSACTION ID
   // ═══════════════════════════════════════════════════════════════════════
 
   _transactionID = 0;
 
+  /** Writes awaiting confirmation: { dp, datatype, data, resolve, cancel } */
+  _pendingWrites = new Set();
+
+  /** DP → token of the newest write (stops retries of replaced confirmed writes) */
+  _latestWrites = new Map();
+
+  /** Recent writes that failed after all retries: { dp, error, attempts, ts } */
+  _writeFailures = [];
+
   /** Auto-incrementing, wraps at 256 */
   get transactionID() {
     return this._transactionID++ % 256;
@@ -102,6 +226,42 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
     } catch (err) {
       this.error('[TuyaDevice] waitForDeviceReady failed:', err.message);
     }
+
+    // Not awaited: a sleeping device must not hold up init
+    this._readFirmwareVersion(props.zclNode);
+  }
+
+  /**
+   * Store the firmware version from the Basic cluster as `firmwareVersion`
+   * (shown by the app health API). Read once, on the main device only;
+   * a failed read (device asleep) is retried on the next init.
+   * @private
+   */
+  async _readFirmwareVersion(zclNode) {
+    if (this.getData().subDeviceId || this.getStoreValue('firmwareVersion')) return;
+
+    try {
+      const basic = zclNode?.endpoints?.[1]?.clusters?.basic;
+      if (!basic) return;
+      const { swBuildId, appVersion } = await basic.readAttributes(['swBuildId', 'appVersion']);
+      const version = swBuildId || (appVersion !== undefined ? `app ${appVersion}` : null);
+      if (!version) return;
+      await this.setStoreValue('firmwareVersion', version);
+      this.log(`[TuyaDevice] firmware ${version}`);
+    } catch (err) {
+      this.log('[TuyaDevice] firmware version not read:', err.message);
+    }
+  }
+
+  /**
+   * Removing the main device drops the node's shared command queue.
+   * Subclasses overriding onDeleted must call super.onDeleted().
+   */
+  onDeleted() {
+    super.onDeleted();
+
+    const { ieeeAddress, subDeviceId } = this.getData();
+    if (ieeeAddress && !subDeviceId) TuyaCommandQueue.release(ieeeAddress);
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -114,28 +274,29 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
    * @param {boolean} value - Boolean value
    * @param {number} [maxRetries=2] - Max retry attempts
    * @param {number} [baseDelay=300] - Base delay in ms (exponential backoff)
+   * @param {Object} [options] - See _sendTuyaDatapoint
    */
-  async writeBool(dp, value, maxRetries = 2, baseDelay = 300) {
+  async writeBool(dp, value, maxRetries = 2, baseDelay = 300, options = {}) {
     if (typeof value !== 'boolean') {
       throw new Error(`writeBool: expected boolean, got ${typeof value}`);
     }
-    return this._sendTuyaDatapoint(dp, 1, Buffer.from([value ? 1 : 0]), maxRetries, baseDelay);
+    return this._sendTuyaDatapoint(dp, 1, Buffer.from([value ? 1 : 0]), maxRetries, baseDelay, options);
   }
 
   /**
    * Write 32-bit value datapoint with retry
    * @param {number} dp - Datapoint
-   * @param {number} value - Uint32 value
+   * @param {number} value - Int32 or uint32 value (negatives sent as two's complement)
    * @param {number} [maxRetries=2] - Max retry attempts
    * @param {number} [baseDelay=300] - Base delay in ms
+   * @param {Object} [options] - See _sendTuyaDatapoint
    */
-  async writeData32(dp, value, maxRetries = 2, baseDelay = 300) {
-    if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
-      throw new Error(`writeData32: invalid uint32: ${value}`);
+  async writeData32(dp, value, maxRetries = 2, baseDelay = 300, options = {}) {
+    if (!Number.isInteger(value) || value < -0x80000000 || value > 0xFFFFFFFF) {
+      throw new Error(`writeData32: invalid int32/uint32: ${value}`);
     }
-    const buf = Buffer.alloc(4);
-    buf.writeUInt32BE(value, 0);
-    return this._sendTuyaDatapoint(dp, 2, buf, maxRetries, baseDelay);
+    const buf = encodeNumber(value, value < 0 ? 'int32' : 'uint32');
+    return this._sendTuyaDatapoint(dp, 2, buf, maxRetries, baseDelay, options);
   }
 
   /**
@@ -144,9 +305,10 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
    * @param {string} value - String value
    * @param {number} [maxRetries=2] - Max retry attempts
    * @param {number} [baseDelay=300] - Base delay in ms
+   * @param {Object} [options] - See _sendTuyaDatapoint
    */
-  async writeString(dp, value, maxRetries = 2, baseDelay = 300) {
-    return this._sendTuyaDatapoint(dp, 3, Buffer.from(String(value), 'latin1'), maxRetries, baseDelay);
+  async writeString(dp, value, maxRetries = 2, baseDelay = 300, options = {}) {
+    return this._sendTuyaDatapoint(dp, 3, Buffer.from(String(value), 'latin1'), maxRetries, baseDelay, options);
   }
 
   /**
@@ -155,12 +317,13 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
    * @param {number} value - Enum value (0-255)
    * @param {number} [maxRetries=2] - Max retry attempts
    * @param {number} [baseDelay=300] - Base delay in ms
+   * @param {Object} [options] - See _sendTuyaDatapoint
    */
-  async writeEnum(dp, value, maxRetries = 2, baseDelay = 300) {
+  async writeEnum(dp, value, maxRetries = 2, baseDelay = 300, options = {}) {
     if (!Number.isInteger(value) || value < 0 || value > 255) {
       throw new Error(`writeEnum: invalid enum: ${value}`);
     }
-    return this._sendTuyaDatapoint(dp, 4, Buffer.from([value]), maxRetries, baseDelay);
+    return this._sendTuyaDatapoint(dp, 4, Buffer.from([value]), maxRetries, baseDelay, options);
   }
 
   /**
@@ -169,50 +332,82 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
    * @param {Buffer} data - Raw buffer
    * @param {number} [maxRetries=2] - Max retry attempts
    * @param {number} [baseDelay=300] - Base delay in ms
+   * @param {Object} [options] - See _sendTuyaDatapoint
    */
-  async writeRaw(dp, data, maxRetries = 2, baseDelay = 300) {
+  async writeRaw(dp, data, maxRetries = 2, baseDelay = 300, options = {}) {
     if (!Buffer.isBuffer(data)) {
       throw new Error('writeRaw: data must be a Buffer');
     }
-    return this._sendTuyaDatapoint(dp, 0, data, maxRetries, baseDelay);
+    return this._sendTuyaDatapoint(dp, 0, data, maxRetries, baseDelay, options);
   }
 
   /**
    * Alias for writeData32 (legacy compatibility)
    */
-  async writeValue(dp, value, maxRetries = 2, baseDelay = 300) {
-    return this.writeData32(dp, value, maxRetries, baseDelay);
+  async writeValue(dp, value, maxRetries = 2, baseDelay = 300, options = {}) {
+    return this.writeData32(dp, value, maxRetries, baseDelay, options);
   }
 
   /**
-   * Send Tuya datapoint with exponential backoff retry
+   * Queue a Tuya datapoint write on the node's command queue.
+   * Writes are serialized per physical node; a queued write to the same DP
+   * is replaced by this one (the replaced caller resolves `{ superseded: true }`).
    * @private
    * @param {number} dp - Datapoint
    * @param {number} datatype - Data type (0=raw, 1=bool, 2=value, 3=string, 4=enum)
    * @param {Buffer} data - Data buffer
    * @param {number} [maxRetries=2] - Max retry attempts
    * @param {number} [baseDelay=300] - Base delay in ms
+   * @param {Object} [options]
+   * @param {boolean} [options.confirm=this.confirmWrites] - Wait for a matching report/response
+   * @param {number} [options.confirmTimeout=this.confirmTimeout] - Confirmation timeout in ms
+   * @param {number} [options.spacing] - Gap after this write (min commandSpacing)
+   */
+  async _sendTuyaDatapoint(dp, datatype, data, maxRetries = 2, baseDelay = 300, options = {}) {
+    // Newest write per DP; an older confirmed write stops retrying once replaced
+    const token = {};
+    this._latestWrites.set(dp, token);
+
+    if (options.confirm ?? this.confirmWrites) {
+      return this._sendConfirmedDatapoint(dp, datatype, data, maxRetries, baseDelay, options, token);
+    }
+    return this._getCommandQueue().enqueue(
+      dp,
+      () => this._transmitDatapoint(dp, datatype, data, maxRetries, baseDelay),
+      { spacing: options.spacing }
+    );
+  }
+
+  /**
+   * Shared command queue of this physical node.
+   * @private
+   * @returns {TuyaCommandQueue}
    */
-  async _sendTuyaDatapoint(dp, datatype, data, maxRetries = 2, baseDelay = 300) {
+  _getCommandQueue() {
+    const nodeId = this.getData?.()?.ieeeAddress;
+    const options = {
+      spacing: this.commandSpacing,
+      sleep: ms => new Promise(resolve => this.homey.setTimeout(resolve, ms)),
+    };
+
+    if (!nodeId) {
+      this._commandQueue = this._commandQueue || new TuyaCommandQueue(options);
+      return this._commandQueue;
+    }
+    return TuyaCommandQueue.forNode(nodeId, options);
+  }
+
+  /**
+   * Send Tuya datapoint with exponential backoff retry
+   * Runs inside the node command queue — call _sendTuyaDatapoint instead.
+   * @private
+   */
+  async _transmitDatapoint(dp, datatype, data, maxRetries, baseDelay) {
     let lastError;
     
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
       try {
-        // Check device ready
-        const ep = this.zclNode?.endpoints?.[this.tuyaEndpoint];
-        if (!ep?.clusters?.tuya) {
-          throw new Error(`[TuyaDevice] tuya cluster not on ep${this.tuyaEndpoint}`);
-        }
-        
-        // Send datapoint
-        await ep.clusters.tuya.datapoint({
-          status: 0,
-          transid: this.transactionID,
-          dp,
-          datatype,
-          length: data.length,
-          data
-        });
+        await this._sendDatapointFrame(dp, datatype, data);
         
         // Success
         if (attempt > 0) {
@@ -225,28 +420,416 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
         
         // Don't retry if last attempt
         if (attempt < maxRetries) {
-          // Exponential backoff: 300ms → 600ms → 1200ms → 2400ms → 4800ms
-          const delay = baseDelay * Math.pow(2, attempt);
-          this.log(`[TuyaDevice] DP${dp} retry ${attempt + 1}/${maxRetries}, waiting ${delay}ms...`);
-          await new Promise(resolve => this.homey.setTimeout(resolve, delay));
+          await this._retryBackoff(dp, attempt, maxRetries, baseDelay);
         }
       }
     }
     
     // All retries failed
-    this.error(`[TuyaDevice] DP${dp} failed after ${maxRetries + 1} attempts:`, lastError.message);
+    this._recordWriteFailure(dp, lastError, maxRetries + 1);
+    throw lastError;
+  }
+
+  /**
+   * Confirmed write. Only sending the frame goes through the node queue;
+   * waiting for the confirming report and the retry backoff happen outside
+   * it, so an unanswered DP does not hold up writes to the other gangs.
+   * @private
+   * @param {Object} token - This write's entry in _latestWrites
+   */
+  async _sendConfirmedDatapoint(dp, datatype, data, maxRetries, baseDelay, options, token) {
+    const confirmTimeout = options.confirmTimeout ?? this.confirmTimeout;
+    let lastError;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      // A newer write to this DP took over
+      if (this._latestWrites.get(dp) !== token) return { superseded: true };
+
+      try {
+        let confirmation = null;
+        const sent = await this._getCommandQueue().enqueue(dp, async () => {
+          // Register before sending: the device may answer before datapoint() resolves
+          confirmation = this._expectDatapoint(dp, datatype, data, confirmTimeout);
+          try {
+            await this._sendDatapointFrame(dp, datatype, data);
+          } catch (err) {
+            confirmation.cancel();
+            throw err;
+          }
+        }, { spacing: options.spacing });
+        if (sent?.superseded) return sent;
+
+        // Wait for the device to report the written value
+        await confirmation.promise;
+
+        if (attempt > 0) {
+          this.log(`[TuyaDevice] DP${dp} confirmed on attempt ${attempt + 1}`);
+        }
+        return;
+
+      } catch (err) {
+        lastError = err;
+        if (attempt < maxRetries) {
+          await this._retryBackoff(dp, attempt, maxRetries, baseDelay);
+        }
+      }
+    }
+
+    if (this._latestWrites.get(dp) !== token) return { superseded: true };
+    this._recordWriteFailure(dp, lastError, maxRetries + 1);
     throw lastError;
   }
 
+  /**
+   * Send one datapoint frame (no retry).
+   * @private
+   */
+  async _sendDatapointFrame(dp, datatype, data) {
+    const ep = this.zclNode?.endpoints?.[this.tuyaEndpoint];
+    if (!ep?.clusters?.tuya) {
+      throw new Error(`[TuyaDevice] tuya cluster not on ep${this.tuyaEndpoint}`);
+    }
+
+    await ep.clusters.tuya.datapoint({
+      status: 0,
+      transid: this.transactionID,
+      dp,
+      datatype,
+      length: data.length,
+      data
+    });
+  }
+
+  /**
+   * Exponential backoff: 300ms → 600ms → 1200ms → 2400ms → 4800ms
+   * @private
+   */
+  async _retryBackoff(dp, attempt, maxRetries, baseDelay) {
+    const delay = baseDelay * Math.pow(2, attempt);
+    this.log(`[TuyaDevice] DP${dp} retry ${attempt + 1}/${maxRetries}, waiting ${delay}ms...`);
+    await new Promise(resolve => this.homey.setTimeout(resolve, delay));
+  }
+
+  /**
+   * Keep a write that failed after all retries for getWriteFailures().
+   * @private
+   */
+  _recordWriteFailure(dp, err, attempts) {
+    this.error(`[TuyaDevice] DP${dp} failed after ${attempts} attempts:`, err.message);
+    this._writeFailures.push({ dp, error: err.message, attempts, ts: Date.now() });
+    if (this._writeFailures.length > MAX_WRITE_FAILURES) this._writeFailures.shift();
+  }
+
+  /**
+   * Register a pending confirmation for a write.
+   * Resolved by _resolvePendingWrites() when a frame with the same DP,
+   * datatype and payload arrives; rejected after timeout.
+   *
+   * @private
+   * @returns {{promise: Promise<void>, cancel: Function}}
+   */
+  _expectDatapoint(dp, datatype, data, timeout) {
+    const entry = { dp, datatype, data };
+
+    entry.promise = new Promise((resolve, reject) => {
+      const timer = this.homey.setTimeout(() => {
+        this._pendingWrites.delete(entry);
+        reject(new Error(`[TuyaDevice] DP${dp} not confirmed within ${timeout}ms`));
+      }, timeout);
+
+      entry.resolve = () => {
+        this.homey.clearTimeout(timer);
+        this._pendingWrites.delete(entry);
+        resolve();
+      };
+      entry.cancel = () => {
+        this.homey.clearTimeout(timer);
+        this._pendingWrites.delete(entry);
+      };
+    });
+
+    this._pendingWrites.add(entry);
+    return entry;
+  }
+
+  /**
+   * Resolve every pending write confirmed by an inbound frame.
+   *
+   * @private
+   * @param {Object} frame - { dp, datatype, data }
+   */
+  _resolvePendingWrites(frame) {
+    for (const entry of this._pendingWrites) {
+      if (entry.dp !== frame.dp || entry.datatype !== frame.datatype) continue;
+      if (Buffer.compare(entry.data, Buffer.from(frame.data || [])) !== 0) continue;
+      entry.resolve();
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // DATAPOINT MAP
+  // ═══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Declarative datapoint map for THIS Homey device instance.
+   * Override in subclass. Multi-gang devices return only the DPs owned by
+   * the gang (plus global DPs on the main device).
+   *
+   * @returns {Object<number, DatapointDefinition>}
+   */
+  get datapoints() {
+    return {};
+  }
+
+  /**
+   * @param {number} dp
+   * @returns {DatapointDefinition|undefined}
+   */
+  getDatapointDefinition(dp) {
+    return this.datapoints[dp];
+  }
+
+  /**
+   * Attach reporting/response listeners on the Tuya cluster and route each
+   * frame to the node device that maps the DP. Call once, on the main device.
+   *
+   * @param {Object} zclNode
+   * @param {string[]} [events=['reporting', 'response']]
+   */
+  installDatapointListeners(zclNode, events = ['reporting', 'response']) {
+    const tuya = zclNode?.endpoints?.[this.tuyaEndpoint]?.clusters?.tuya;
+    if (!tuya) {
+      this.error(`[TuyaDevice] tuya cluster not on ep${this.tuyaEndpoint} — datapoint listeners skipped`);
+      return;
+    }
+
+    for (const event of events) {
+      tuya.on(event, frame => {
+        this._markAliveFromAvailability?.(event);
+        this._routeDatapoint(frame);
+      });
+    }
+
+    this.log(`[TuyaDevice] datapoint listeners attached (${events.join(', ')})`);
+  }
+
+  /**
+   * Register capability listeners for every mapped capability whose
+   * direction allows writes. Capabilities with custom logic should be
+   * mapped with direction 'in' and call writeDatapoint() themselves.
+   */
+  registerDatapointCapabilities() {
+    for (const [dp, def] of Object.entries(this.datapoints)) {
+      if (!def.capability || def.direction === 'in') continue;
+      if (!this.hasCapability(def.capability)) continue;
+      this.registerCapabilityListener(def.capability, value => this.writeDatapoint(Number(dp), value));
+    }
+  }
+
+  /**
+   * Encode a Homey value through the map and write it to the device.
+   *
+   * @param {number} dp - Datapoint
+   * @param {*} value - Homey value (capability / setting value)
+   * @param {number} [maxRetries] - Defaults to definition.retries ?? 2
+   * @param {number} [baseDelay] - Defaults to definition.delay ?? 300
+   * @returns {Promise<*>} Write result, or `{ buffered: true }` when held for replay
+   */
+  async writeDatapoint(dp, value, maxRetries, baseDelay) {
+    const def = this.getDatapointDefinition(dp);
+    if (!def) throw new Error(`[TuyaDevice] DP${dp} is not mapped`);
+
+    // Unavailable: keep the desired state for replay instead of failing
+    const availability = this._getAvailabilityManager();
+    if (availability?.bufferCommand(this, `dp${dp}`, () => this.writeDatapoint(dp, value, maxRetries, baseDelay))) {
+      return { buffered: true };
+    }
+
+    const raw      = this._encodeDatapointValue(def, value);
+    const retries  = maxRetries ?? def.retries ?? 2;
+    const delay    = baseDelay ?? def.delay ?? 300;
+    const options  = { confirm: def.confirm };
+
+    // A failed write rejects: Homey reverts the capability the listener was called for
+    switch (def.type) {
+      case 'bool':   return this.writeBool(dp, Boolean(raw), retries, delay, options);
+      case 'value':
+        if (def.numberType === 'int16' || def.numberType === 'uint16') {
+          return this._sendTuyaDatapoint(dp, 2, encodeNumber(raw, def.numberType), retries, delay, options);
+        }
+        return this.writeData32(dp, raw, retries, delay, options);
+      case 'enum':   return this.writeEnum(dp, raw, retries, delay, options);
+      case 'string': return this.writeString(dp, raw, retries, delay, options);
+      case 'raw':    return this.writeRaw(dp, raw, retries, delay, options);
+      default:       throw new Error(`[TuyaDevice] DP${dp}: cannot write type ${def.type}`);
+    }
+  }
+
+  /**
+   * Write every changed setting that is mapped to a datapoint.
+   *
+   * @param {Object} newSettings
+   * @param {string[]} changedKeys
+   */
+  async writeSettingDatapoints(newSettings, changedKeys) {
+    for (const key of changedKeys) {
+      const entry = Object.entries(this.datapoints)
+        .find(([, def]) => def.setting === key && def.direction !== 'in');
+      if (!entry) continue;
+
+      await this.writeDatapoint(Number(entry[0]), newSettings[key]);
+      this.log(`[TuyaDevice] setting ${key} → DP${entry[0]}: ${newSettings[key]}`);
+    }
+  }
+
+  /**
+   * Default settings handler: writes mapped settings.
+   * Subclasses handling extra keys should call super.onSettings().
+   */
+  async onSettings({ newSettings, changedKeys }) {
+    await this.writeSettingDatapoints(newSettings, changedKeys);
+  }
+
+  /**
+   * Hook called for every decoded datapoint after the map was applied.
+   * Override for side effects (flows, derived capabilities, logging).
+   *
+   * @param {number} dp
+   * @param {*} value - Decoded Homey value
+   * @param {DatapointDefinition} definition
+   * @protected
+   */
+  async onDatapointReport(dp, value, definition) {}
+
+  /**
+   * Route a frame to every node device mapping its DP.
+   * @private
+   */
+  _routeDatapoint(frame) {
+    const dp = frame?.dp;
+    if (dp === undefined) return;
+
+    for (const device of this._getNodeDevices()) {
+      device._resolvePendingWrites?.(frame);
+    }
+
+    const targets = this._getNodeDevices().filter(d => d.getDatapointDefinition?.(dp));
+    if (targets.length === 0) {
+      this.log(`[TuyaDevice] unmapped DP${dp}`);
+      return;
+    }
+
+    for (const target of targets) {
+      target._handleDatapoint(frame).catch(err =>
+        this.error(`[TuyaDevice] DP${dp} processing error:`, err.message));
+    }
+  }
+
+  /**
+   * Decode a frame and apply it to capability / setting.
+   * @private
+   */
+  async _handleDatapoint(frame) {
+    const def = this.getDatapointDefinition(frame.dp);
+    if (!def) return;
+
+    let raw;
+    try {
+      raw = getDataValue(frame, { numberType: def.numberType, flags: def.flags });
+    } catch (err) {
+      this.error(`[TuyaDevice] DP${frame.dp} decode failed:`, err.message);
+      return;
+    }
+
+    const value = this._decodeDatapointValue(def, raw);
+    if (value === undefined) {
+      this.error(`[TuyaDevice] DP${frame.dp}: unmapped value`, raw);
+      return;
+    }
+
+    const acceptsReports = def.direction !== 'out';
+
+    if (acceptsReports && def.capability && this.hasCapability(def.capability)) {
+      const current = this.getCapabilityValue(def.capability);
+      const unchanged = def.tolerance && typeof current === 'number'
+        ? Math.abs(current - value) < def.tolerance
+        : current === value;
+      if (!unchanged) {
+        await this.setCapabilityValue(def.capability, value);
+        this.log(`[TuyaDevice] DP${frame.dp} ${def.capability}: ${current} → ${value}`);
+      }
+    }
+
+    if (acceptsReports && def.setting) {
+      const current = this.getSetting(def.setting);
+      if (current !== value) {
+        this.log(`[TuyaDevice] DP${frame.dp} syncing setting ${def.setting}: ${current} → ${value}`);
+        await this.setSettings({ [def.setting]: value }).catch(err =>
+          this.error(`[TuyaDevice] sync ${def.setting} failed:`, err.message));
+      }
+    }
+
+    await this.onDatapointReport(frame.dp, value, def);
+  }
+
+  /**
+   * Raw device value → Homey value.
+   * @private
+   */
+  _decodeDatapointValue(def, raw) {
+    if (def.enum) return def.enum[raw];
+    if (typeof raw !== 'number') return raw;
+    const range = Math.pow(10, def.scale || 0) * (def.divisor || 1);
+    const value = (def.invert ? range - raw : raw) / range;
+    return Math.min(def.max ?? Infinity, Math.max(def.min ?? -Infinity, value));
+  }
+
+  /**
+   * Homey value → raw device value.
+   * @private
+   */
+  _encodeDatapointValue(def, value) {
+    if (def.enum) {
+      const key = Object.keys(def.enum).find(k => def.enum[k] === value);
+      if (key === undefined) throw new Error(`[TuyaDevice] no enum value for ${value}`);
+      return Number(key);
+    }
+    if (typeof value !== 'number') return value;
+    const range = Math.pow(10, def.scale || 0) * (def.divisor || 1);
+    const raw   = Math.round(value * range);
+    return def.invert ? range - raw : raw;
+  }
+
+  /**
+   * All Homey device instances sharing this physical node (main + gangs).
+   * @private
+   */
+  _getNodeDevices() {
+    const myIeee = this.getData().ieeeAddress;
+    if (!myIeee) return [this];
+    return this.driver.getDevices().filter(d => {
+      try { return d.getData().ieeeAddress === myIeee; } catch { return false; }
+    });
+  }
+
+  /**
+   * AvailabilityManager watching this node (own, or the main device's).
+   * @private
+   */
+  _getAvailabilityManager() {
+    return getAvailabilityManager(this);
+  }
+
   // ═══════════════════════════════════════════════════════════════════════
   // BULK COMMANDS
   // ═══════════════════════════════════════════════════════════════════════
 
   /**
    * Send multiple commands in sequence with rate-limiting.
+   * Spacing is enforced by the node command queue.
    *
    * @param {Array<{type: string, dp: number, value: *}>} commands
-   * @param {number} [delayBetween=200] ms between commands (min 150 enforced)
+   * @param {number} [delayBetween=200] ms between commands (min commandSpacing)
    * @returns {Promise<Array<{success, dp, result?, error?}>>}
    */
   async sendBulkCommands(commands, delayBetween = 200) {
@@ -257,13 +840,11 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
       return commands.map(c => ({ success: false, dp: c?.dp, error: 'device unavailable' }));
     }
 
-    const delay   = Math.max(150, delayBetween);
+    const options = { spacing: delayBetween };
     const results = [];
     let   fails   = 0;
 
-    for (let i = 0; i < commands.length; i++) {
-      const cmd = commands[i];
-
+    for (const cmd of commands) {
       if (fails >= 2) {
         results.push({ success: false, dp: cmd?.dp, error: 'aborted: consecutive failures' });
         continue;
@@ -273,11 +854,11 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
         let result;
         // Bulk commands use fewer retries (2 max, 200ms base)
         switch (cmd.type) {
-          case 'bool':   result = await this.writeBool(cmd.dp, cmd.value, 2, 200);   break;
-          case 'enum':   result = await this.writeEnum(cmd.dp, cmd.value, 2, 200);   break;
-          case 'data32': result = await this.writeData32(cmd.dp, cmd.value, 2, 200); break;
-          case 'string': result = await this.writeString(cmd.dp, cmd.value, 2, 200); break;
-          case 'raw':    result = await this.writeRaw(cmd.dp, cmd.value, 2, 200);    break;
+          case 'bool':   result = await this.writeBool(cmd.dp, cmd.value, 2, 200, options);   break;
+          case 'enum':   result = await this.writeEnum(cmd.dp, cmd.value, 2, 200, options);   break;
+          case 'data32': result = await this.writeData32(cmd.dp, cmd.value, 2, 200, options); break;
+          case 'string': result = await this.writeString(cmd.dp, cmd.value, 2, 200, options); break;
+          case 'raw':    result = await this.writeRaw(cmd.dp, cmd.value, 2, 200, options);    break;
           default:       throw new Error(`unknown type: ${cmd.type}`);
         }
         results.push({ success: true, dp: cmd.dp, result });
@@ -287,10 +868,6 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
         results.push({ success: false, dp: cmd.dp, error: err.message });
         fails++;
       }
-
-      if (i < commands.length - 1) {
-        await new Promise(r => this.homey.setTimeout(r, delay));
-      }
     }
 
     const ok = results.filter(r => r.success).length;
@@ -308,12 +885,23 @@ class TuyaSpecificClusterDevice extends ZigBeeDevice {
   getTransactionStats() {
     return {
       currentTransactionId: this._transactionID,
+      pendingWrites:        this._pendingWrites.size,
+      queuedCommands:       this._getCommandQueue().size,
       deviceReady:          this.isDeviceReady(),
       deviceName:           this.getName?.() || 'unknown',
       tuyaEndpoint:         this.tuyaEndpoint,
+      writeFailures:        this._writeFailures.length,
     };
   }
 
+  /**
+   * Recent writes that failed after all retries (oldest first).
+   * @returns {Array<{dp: number, error: string, attempts: number, ts: number}>}
+   */
+  getWriteFailures() {
+    return [...this._writeFailures];
+  }
+
   // ═══════════════════════════════════════════════════════════════════════
   // TIME SYNC
   // ═══════════════════════════════════════════════════════════════════════
@@ -0,0 +1,97 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  hsvToRgb,
+  parseHsvString,
+  marshalHsvString,
+  parseRgbHsvString,
+  marshalRgbHsvString,
+} = require('../lib/TuyaColor');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// V2 HSV string
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('V2 HSV string', () => {
+  it('encodes h 0-360, s/v 0-1000 as 4 hex digits each', () => {
+    assert.equal(marshalHsvString({ hue: 240 / 360, saturation: 1, value: 1 }), '00f003e803e8');
+    assert.equal(marshalHsvString({ hue: 0, saturation: 0.5, value: 0.1 }), '000001f40064');
+  });
+
+  it('round-trips human → string → human', () => {
+    const hsv = { hue: 240 / 360, saturation: 0.5, value: 0.25 };
+    assert.deepEqual(parseHsvString(marshalHsvString(hsv)), hsv);
+  });
+
+  it('round-trips string → human → string', () => {
+    for (const text of ['00f003e803e8', '0000000003e8', '00b4032001f4']) {
+      assert.equal(marshalHsvString(parseHsvString(text)), text);
+    }
+  });
+
+  it('wraps hue 360 to 0 and clamps out-of-range input', () => {
+    assert.equal(marshalHsvString({ hue: 1, saturation: 2, value: -1 }), '000003e80000');
+    assert.deepEqual(parseHsvString('0168ffffffff'), { hue: 0, saturation: 1, value: 1 });
+  });
+
+  it('accepts uppercase and surrounding whitespace', () => {
+    assert.deepEqual(parseHsvString(' 00F003E803E8 '), { hue: 240 / 360, saturation: 1, value: 1 });
+  });
+
+  it('rejects strings of the wrong length or with non-hex characters', () => {
+    assert.throws(() => parseHsvString('00f003e803e'), /expected 12 hex characters/);
+    assert.throws(() => parseHsvString('00f003e803e800'), /expected 12 hex characters/);
+    assert.throws(() => parseHsvString('00f003e803eg'), /invalid color "00f003e803eg"/);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// V1 RGB+HSV string
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('V1 RGB+HSV string', () => {
+  it('encodes rgb, h 0-360 and s/v 0-255', () => {
+    assert.equal(marshalRgbHsvString({ hue: 1 / 3, saturation: 1, value: 1 }), '00ff000078ffff');
+    assert.equal(marshalRgbHsvString({ hue: 0, saturation: 0, value: 1 }), 'ffffff000000ff');
+  });
+
+  it('round-trips human → string → human', () => {
+    const hsv = { hue: 120 / 360, saturation: 51 / 255, value: 204 / 255 };
+    assert.deepEqual(parseRgbHsvString(marshalRgbHsvString(hsv)), hsv);
+  });
+
+  it('round-trips string → human → string', () => {
+    for (const text of ['ff00000000ffff', '0000ff00f0ffff', '00ff000078ffff']) {
+      assert.equal(marshalRgbHsvString(parseRgbHsvString(text)), text);
+    }
+  });
+
+  it('decodes the HSV part and ignores the RGB prefix', () => {
+    assert.deepEqual(parseRgbHsvString('12345600f0ffff'), parseRgbHsvString('00000000f0ffff'));
+  });
+
+  it('rejects strings of the wrong length or with non-hex characters', () => {
+    assert.throws(() => parseRgbHsvString('00f003e803e8'), /expected 14 hex characters/);
+    assert.throws(() => parseRgbHsvString(''), /expected 14 hex characters/);
+    assert.throws(() => parseRgbHsvString('00ff000078ffzz'), /invalid color/);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// hsvToRgb
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('hsvToRgb', () => {
+  it('converts the primary colors', () => {
+    assert.deepEqual(hsvToRgb({ hue: 0, saturation: 1, value: 1 }), { r: 255, g: 0, b: 0 });
+    assert.deepEqual(hsvToRgb({ hue: 1 / 3, saturation: 1, value: 1 }), { r: 0, g: 255, b: 0 });
+    assert.deepEqual(hsvToRgb({ hue: 2 / 3, saturation: 1, value: 1 }), { r: 0, g: 0, b: 255 });
+  });
+
+  it('returns grey for zero saturation', () => {
+    assert.deepEqual(hsvToRgb({ hue: 0.7, saturation: 0, value: 0.5 }), { r: 128, g: 128, b: 128 });
+  });
+});
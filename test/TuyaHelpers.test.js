@@ -0,0 +1,115 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  TUYA_DATA_TYPES,
+  decodeNumber,
+  encodeNumber,
+  decodeBitmap,
+  getDataValue,
+} = require('../lib/TuyaHelpers');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Number codec
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('decodeNumber / encodeNumber', () => {
+  it('decodes a negative int32 (−3.2 °C does not wrap)', () => {
+    assert.equal(decodeNumber(Buffer.from([0xFF, 0xFF, 0xFF, 0xE0])), -32);
+  });
+
+  it('round-trips int32 at both ends of the range', () => {
+    for (const value of [-0x80000000, -1, 0, 300, 0x7FFFFFFF]) {
+      assert.equal(decodeNumber(encodeNumber(value)), value);
+    }
+  });
+
+  it('encodes uint16 as 2 big-endian bytes', () => {
+    assert.deepEqual([...encodeNumber(0xFFFE, 'uint16')], [0xFF, 0xFE]);
+    assert.equal(decodeNumber(Buffer.from([0xFF, 0xFE]), 'uint16'), 0xFFFE);
+  });
+
+  it('rejects a length that does not match the number type', () => {
+    assert.throws(() => decodeNumber(Buffer.from([0x00, 0x2C])), /Invalid int32 length: expected 4, got 2/);
+    assert.throws(() => decodeNumber(Buffer.from([0x00, 0x00, 0x2C]), 'uint16'), /Invalid uint16 length/);
+  });
+
+  it('rejects values out of range or not integer', () => {
+    assert.throws(() => encodeNumber(-1, 'uint16'), /Invalid uint16: -1/);
+    assert.throws(() => encodeNumber(0x10000, 'uint16'), /Invalid uint16/);
+    assert.throws(() => encodeNumber(2.5), /Invalid int32: 2.5/);
+  });
+
+  it('rejects an unknown number type', () => {
+    assert.throws(() => decodeNumber(Buffer.alloc(8), 'int64'), /Unsupported number type: int64/);
+    assert.throws(() => encodeNumber(1, 'int64'), /Unsupported number type: int64/);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Bitmap
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('decodeBitmap', () => {
+  const FLAGS = { 0: 'fault', 1: 'lowBattery', 2: 'tamper' };
+
+  it('maps set bits to flag names', () => {
+    assert.deepEqual(decodeBitmap(Buffer.from([0x05]), FLAGS), { fault: true, lowBattery: false, tamper: true });
+  });
+
+  it('reads multi-byte bitmaps big-endian', () => {
+    assert.deepEqual(decodeBitmap(Buffer.from([0x80, 0x02]), { 1: 'low', 15: 'high' }), { low: true, high: true });
+  });
+
+  it('returns the unsigned number without a flag table', () => {
+    assert.equal(decodeBitmap(Buffer.from([0x80, 0x00, 0x00, 0x01])), 0x80000001);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getDataValue
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('getDataValue', () => {
+  it('decodes value DPs as int32 by default', () => {
+    assert.equal(getDataValue({ datatype: TUYA_DATA_TYPES.value, data: [0xFF, 0xFF, 0xFF, 0xE0] }), -32);
+  });
+
+  it('honours numberType for value DPs', () => {
+    const dpValue = { datatype: TUYA_DATA_TYPES.value, data: [0xFF, 0xFF] };
+    assert.equal(getDataValue(dpValue, { numberType: 'uint16' }), 0xFFFF);
+    assert.equal(getDataValue(dpValue, { numberType: 'int16' }), -1);
+  });
+
+  it('decodes bitmap DPs with flags', () => {
+    const dpValue = { datatype: TUYA_DATA_TYPES.bitmap, data: Buffer.from([0x02]) };
+    assert.deepEqual(getDataValue(dpValue, { flags: { 0: 'fault', 1: 'lowBattery' } }), { fault: false, lowBattery: true });
+  });
+
+  it('decodes RAW payloads as numbers only when a numberType is given', () => {
+    const dpValue = { datatype: TUYA_DATA_TYPES.raw, data: [0x00, 0x00, 0x01, 0x2C] };
+    assert.equal(getDataValue(dpValue, { numberType: 'uint32' }), 300);
+    assert.deepEqual(getDataValue(dpValue), Buffer.from([0x00, 0x00, 0x01, 0x2C]));
+  });
+
+  it('decodes bool, enum and string DPs', () => {
+    assert.equal(getDataValue({ datatype: TUYA_DATA_TYPES.bool, data: [0x01] }), true);
+    assert.equal(getDataValue({ datatype: TUYA_DATA_TYPES.bool, data: [0x00] }), false);
+    assert.equal(getDataValue({ datatype: TUYA_DATA_TYPES.enum, data: [0x02] }), 2);
+    assert.equal(getDataValue({ datatype: TUYA_DATA_TYPES.string, data: Buffer.from('abc') }), 'abc');
+  });
+
+  it('rejects payload lengths that do not match the datatype', () => {
+    assert.throws(() => getDataValue({ datatype: TUYA_DATA_TYPES.bool, data: [0x00, 0x01] }), /Invalid length 2 for datatype 1/);
+    assert.throws(() => getDataValue({ datatype: TUYA_DATA_TYPES.bitmap, data: [0x00, 0x00, 0x01] }), /Invalid length 3 for datatype 5/);
+    assert.throws(() => getDataValue({ datatype: TUYA_DATA_TYPES.value, data: [0x01, 0x2C] }), /Invalid int32 length/);
+  });
+
+  it('rejects missing data and unknown datatypes', () => {
+    assert.throws(() => getDataValue({ datatype: TUYA_DATA_TYPES.value }), /missing data/);
+    assert.throws(() => getDataValue({ datatype: TUYA_DATA_TYPES.value, data: 'ff' }), /must be array or buffer/);
+    assert.throws(() => getDataValue({ datatype: 9, data: [0x00] }), /Unsupported datatype: 9/);
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SCENE_PRESETS,
+  parseLightScene,
+  marshalSceneString,
+  parseSceneString,
+  marshalMusicSyncString,
+  parseMusicSyncString,
+} = require('../lib/TuyaLightScene');
+
+const SCENE = {
+  id: 3,
+  steps: [
+    {
+      mode: 'jump',
+      speed: 80,
+      colors: [
+        { hue: 0, saturation: 100, brightness: 100 },
+        { hue: 240, saturation: 50, brightness: 75 },
+      ],
+    },
+    {
+      mode: 'static',
+      speed: 10,
+      colors: [{ temperature: 40, brightness: 60 }],
+    },
+  ],
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Scene string
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('Scene string', () => {
+  it('round-trips human → string → human', () => {
+    assert.deepEqual(parseSceneString(marshalSceneString(SCENE)), SCENE);
+  });
+
+  it('encodes "ss" + one 26-character unit per color', () => {
+    const text = marshalSceneString(SCENE);
+    assert.equal(text.length, 2 + 3 * 26);
+    assert.equal(text.slice(0, 2), '03');
+    // interval, change time, mode 01 (jump), hue 0, s 1000, v 1000, no white part
+    assert.equal(text.slice(2, 28), '505001' + '0000' + '03e8' + '03e8' + '00000000');
+  });
+
+  it('encodes white units in the brightness / temperature fields', () => {
+    const text = marshalSceneString([{ mode: 'static', speed: 10, colors: [{ temperature: 40, brightness: 60 }] }]);
+    assert.equal(text, '00' + '0a0a00' + '000000000000' + '0258' + '0190');
+    assert.deepEqual(parseSceneString(text).steps[0].colors, [{ temperature: 40, brightness: 60 }]);
+  });
+
+  it('round-trips every preset', () => {
+    for (const [name, preset] of Object.entries(SCENE_PRESETS)) {
+      assert.deepEqual(parseSceneString(marshalSceneString(preset)), parseLightScene(preset), name);
+    }
+  });
+
+  it('converts #rrggbb colors to hue / saturation / brightness', () => {
+    const text = marshalSceneString([{ mode: 'static', speed: 50, colors: ['#0000ff', '#808080'] }]);
+    assert.deepEqual(parseSceneString(text).steps[0].colors, [
+      { hue: 240, saturation: 100, brightness: 100 },
+      { hue: 0, saturation: 0, brightness: 50 },
+    ]);
+  });
+
+  it('accepts 8 units and rejects more', () => {
+    const colors = n => Array.from({ length: n }, (_, i) => ({ hue: i * 40 }));
+    assert.equal(parseSceneString(marshalSceneString([{ colors: colors(8) }])).steps[0].colors.length, 8);
+    assert.throws(
+      () => marshalSceneString([{ colors: colors(5) }, { mode: 'jump', colors: colors(4) }]),
+      /9 colors given, the light accepts at most 8/,
+    );
+  });
+
+  it('rejects invalid human scenes', () => {
+    assert.throws(() => marshalSceneString('{bad'), /invalid JSON/);
+    assert.throws(() => marshalSceneString([]), /non-empty list of \{ mode, speed, colors \}/);
+    assert.throws(() => marshalSceneString([{ mode: 'fade', colors: ['#ff0000'] }]), /step 1: unknown mode "fade"/);
+    assert.throws(() => marshalSceneString([{ speed: 0, colors: ['#ff0000'] }]), /step 1 speed must be 1-100/);
+    assert.throws(() => marshalSceneString([{ colors: ['red'] }]), /invalid color "red"/);
+  });
+
+  it('rejects malformed scene strings', () => {
+    assert.throws(() => parseSceneString('00'), /invalid scene string "00"/);
+    assert.throws(() => parseSceneString('00' + '0'.repeat(25)), /invalid scene string/);
+    assert.throws(() => parseSceneString('zz' + '0'.repeat(26)), /invalid scene string/);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Music-sync string
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('Music-sync string', () => {
+  it('round-trips a color frame', () => {
+    const frame = { mode: 'gradient', color: { hue: 120, saturation: 80, brightness: 90 } };
+    const text = marshalMusicSyncString(frame);
+    assert.equal(text, '1' + '0078' + '0320' + '0384' + '00000000');
+    assert.deepEqual(parseMusicSyncString(text), frame);
+  });
+
+  it('round-trips a white frame and defaults to jump', () => {
+    const text = marshalMusicSyncString({ color: { temperature: 100, brightness: 50 } });
+    assert.equal(text.length, 21);
+    assert.deepEqual(parseMusicSyncString(text), { mode: 'jump', color: { temperature: 100, brightness: 50 } });
+  });
+
+  it('rejects unknown modes and malformed strings', () => {
+    assert.throws(() => marshalMusicSyncString({ mode: 'static', color: '#ff0000' }), /unknown music mode "static"/);
+    assert.throws(() => parseMusicSyncString('0'.repeat(20)), /invalid music-sync string .* \(expected 21 hex characters\)/);
+    assert.throws(() => parseMusicSyncString('g' + '0'.repeat(20)), /invalid music-sync string/);
+  });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseWeeklySchedule,
+  parseSchedule,
+  marshalSchedule,
+  parseScheduleString,
+  marshalScheduleString,
+} = require('../lib/TuyaSchedule');
+
+const DAY = [
+  { time: '06:00', temperature: 21 },
+  { time: '08:00', temperature: 17 },
+  { time: '17:00', temperature: 21.5 },
+  { time: '22:00', temperature: 17 },
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// V1 raw
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('V1 raw schedule', () => {
+  it('round-trips human → bytes → human', () => {
+    assert.deepEqual(parseSchedule(marshalSchedule(DAY)), DAY);
+  });
+
+  it('encodes [slot, temp_hi, temp_lo] per entry', () => {
+    const buf = marshalSchedule([{ time: '06:00', temperature: 21.5 }]);
+    assert.deepEqual([...buf], [36, 0x00, 0xd7]);
+  });
+
+  it('sorts entries by time', () => {
+    const reversed = [...DAY].reverse();
+    assert.deepEqual(parseSchedule(marshalSchedule(reversed)), DAY);
+  });
+
+  it('accepts the first and last slot of the day', () => {
+    const edges = [
+      { time: '00:00', temperature: 16 },
+      { time: '23:50', temperature: 18 },
+    ];
+    const buf = marshalSchedule(edges);
+    assert.equal(buf[0], 0);
+    assert.equal(buf[3], 143);
+    assert.deepEqual(parseSchedule(buf), edges);
+  });
+
+  it('rejects slot 144 and beyond', () => {
+    assert.throws(() => parseSchedule([144, 0x00, 0xd2]), /invalid slot 144/);
+    assert.throws(() => parseSchedule([255, 0x00, 0xd2]), /invalid slot 255/);
+  });
+
+  it('rejects times off the 10-minute grid', () => {
+    assert.throws(() => marshalSchedule([{ time: '06:05', temperature: 20 }]), /10-minute boundary/);
+  });
+
+  it('rejects a payload that is not a multiple of 3 bytes', () => {
+    assert.throws(() => parseSchedule([36, 0x00]), /invalid raw length 2/);
+  });
+
+  it('decodes the full uint16 range without wrapping', () => {
+    assert.deepEqual(parseSchedule([0, 0xff, 0xff]), [{ time: '00:00', temperature: 6553.5 }]);
+  });
+
+  it('rejects temperatures that do not fit the device range', () => {
+    for (const temperature of [6553.6, 100000, -1, 4.9, 35.1, NaN, 'warm']) {
+      assert.throws(() => marshalSchedule([{ time: '06:00', temperature }]), /temperature must be 5-35/);
+    }
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// V2 string
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('V2 string schedule', () => {
+  it('round-trips human → string → human', () => {
+    assert.deepEqual(parseScheduleString(marshalScheduleString(DAY)), DAY);
+  });
+
+  it('encodes space-separated HH:MM/TT.T pairs', () => {
+    assert.equal(marshalScheduleString(DAY), '06:00/21.0 08:00/17.0 17:00/21.5 22:00/17.0');
+  });
+
+  it('round-trips string → human → string', () => {
+    const text = '00:00/16.0 06:15/20.5 23:59/18.0';
+    assert.equal(marshalScheduleString(parseScheduleString(text)), text);
+  });
+
+  it('accepts minutes off the 10-minute grid, extra whitespace and °C', () => {
+    assert.deepEqual(parseScheduleString('  06:05/21°C   23:59/17.0 '), [
+      { time: '06:05', temperature: 21 },
+      { time: '23:59', temperature: 17 },
+    ]);
+  });
+
+  it('rounds temperatures to 0.1 °C', () => {
+    assert.equal(marshalScheduleString([{ time: '06:00', temperature: 20.26 }]), '06:00/20.3');
+  });
+
+  it('rejects malformed strings', () => {
+    for (const text of ['', '   ', '06:00', '06:00-21.0', '6h00/21.0', '24:00/21.0', '06:60/21.0', '06:00/abc', '06:00/21.0 06:00/18.0']) {
+      assert.throws(() => parseScheduleString(text), /\[Schedule\]/, `"${text}"`);
+    }
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Weekly schedule
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('parseWeeklySchedule', () => {
+  it('expands groups and lets explicit days win', () => {
+    const week = parseWeeklySchedule({ weekdays: DAY, friday: [{ time: '07:00', temperature: 19 }] });
+    assert.deepEqual(Object.keys(week), ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']);
+    assert.deepEqual(week.monday, DAY);
+    assert.deepEqual(week.friday, [{ time: '07:00', temperature: 19 }]);
+  });
+
+  it('parses a JSON string', () => {
+    assert.deepEqual(parseWeeklySchedule(JSON.stringify({ sunday: DAY })), { sunday: DAY });
+  });
+
+  it('rejects invalid input', () => {
+    assert.throws(() => parseWeeklySchedule('{'), /invalid JSON/);
+    assert.throws(() => parseWeeklySchedule([]), /expected an object/);
+    assert.throws(() => parseWeeklySchedule({}), /no days given/);
+    assert.throws(() => parseWeeklySchedule({ someday: DAY }), /unknown day "someday"/);
+  });
+});